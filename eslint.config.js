@@ -0,0 +1,27 @@
+import js from "@eslint/js";
+import globals from "globals";
+
+// Spielcode läuft im Browser, der Service Worker im Worker, Tests & Build unter Node.
+export default [
+  { ignores: ["dist/", "public/"] },
+  js.configs.recommended,
+  {
+    rules: {
+      // catch (error) ohne Nutzung und { a, ...rest } zum Weglassen von Feldern sind hier üblich.
+      "no-unused-vars": ["error", { caughtErrors: "none", ignoreRestSiblings: true }],
+    },
+  },
+  {
+    files: ["src/**/*.js"],
+    languageOptions: { globals: globals.browser },
+  },
+  {
+    files: ["src/sw.js"],
+    // Die Precache-Liste setzt der Build (vite.config.js) ein.
+    languageOptions: { globals: { ...globals.serviceworker, __LUMO_PRECACHE__: "readonly" } },
+  },
+  {
+    files: ["test/**/*.js", "vite.config.js", "eslint.config.js"],
+    languageOptions: { globals: globals.node },
+  },
+];
@@ -0,0 +1,70 @@
+import { defaultWorld } from "./constants.js";
+
+// -----------------------------
+// AudioBus: einfache WebAudio-Sounds
+// -----------------------------
+export class AudioBus {
+  constructor(settings) {
+    this.settings = settings;
+    this.context = null;
+    this.master = null;
+    this.ambientOsc = null;
+    this.ambient = defaultWorld.ambient;
+  }
+
+  init() {
+    if (this.context) return;
+    this.context = new (window.AudioContext || window.webkitAudioContext)();
+    this.master = this.context.createGain();
+    this.master.gain.value = this.settings.get("mute") ? 0 : 0.4;
+    this.master.connect(this.context.destination);
+    this.startAmbient();
+  }
+
+  setMute(muted) {
+    if (!this.master) return;
+    this.master.gain.value = muted ? 0 : 0.4;
+  }
+
+  startAmbient() {
+    if (!this.context) return;
+    this.ambientOsc = this.context.createOscillator();
+    const gain = this.context.createGain();
+    this.ambientOsc.type = this.ambient.type;
+    this.ambientOsc.frequency.value = this.ambient.frequency;
+    gain.gain.value = this.ambient.gain;
+    this.ambientOsc.connect(gain);
+    gain.connect(this.master);
+    this.ambientOsc.start();
+  }
+
+  playTone({ frequency = 440, duration = 0.2, type = "sine", gain = 0.2 }) {
+    if (!this.context || this.settings.get("mute")) return;
+    const osc = this.context.createOscillator();
+    const amp = this.context.createGain();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    amp.gain.value = gain;
+    osc.connect(amp);
+    amp.connect(this.master);
+    osc.start();
+    osc.stop(this.context.currentTime + duration);
+  }
+
+  jump() {
+    this.playTone({ frequency: 520, duration: 0.12, type: "triangle", gain: 0.12 });
+  }
+
+  success() {
+    this.playTone({ frequency: 740, duration: 0.2, type: "sine", gain: 0.18 });
+    this.playTone({ frequency: 980, duration: 0.3, type: "sine", gain: 0.12 });
+  }
+
+  camera() {
+    this.playTone({ frequency: 420, duration: 0.2, type: "sawtooth", gain: 0.08 });
+  }
+
+  softPop() {
+    this.playTone({ frequency: 360, duration: 0.15, type: "triangle", gain: 0.1 });
+  }
+}
@@ -0,0 +1,48 @@
+import { clamp, lerp } from "./util.js";
+
+// -----------------------------
+// Camera: folgt Lumi durch breite Level
+// -----------------------------
+export class Camera {
+  constructor(viewWidth = 960) {
+    this.x = 0;
+    this.viewWidth = viewWidth;
+    this.worldWidth = viewWidth;
+    // Lumi steht etwas links der Mitte, damit man mehr vom Weg nach vorn sieht.
+    this.lead = 0.4;
+    this.stiffness = 5;
+  }
+
+  setWorldWidth(worldWidth) {
+    this.worldWidth = Math.max(this.viewWidth, worldWidth);
+    this.x = clamp(this.x, 0, this.worldWidth - this.viewWidth);
+  }
+
+  getTarget(player) {
+    const centerX = player.x + player.width * 0.5;
+    return clamp(centerX - this.viewWidth * this.lead, 0, this.worldWidth - this.viewWidth);
+  }
+
+  snapTo(player) {
+    this.x = this.getTarget(player);
+  }
+
+  // Ohne Standardwert: Die Kamera soll nie selbst den Browser fragen.
+  update(dt, player, reduced) {
+    const target = this.getTarget(player);
+    if (reduced) {
+      this.x = target;
+      return;
+    }
+    this.x = lerp(this.x, target, 1 - Math.exp(-this.stiffness * dt));
+  }
+
+  isVisible(x, width, margin = 0) {
+    return x + width > this.x - margin && x < this.x + this.viewWidth + margin;
+  }
+
+  // Ganze Pixel, damit Plattformkanten beim Scrollen nicht flimmern.
+  apply(ctx) {
+    ctx.translate(-Math.round(this.x), 0);
+  }
+}
@@ -0,0 +1,123 @@
+// -----------------------------
+// Gemeinsame Werte für Spiel, Editor & Seiten
+// -----------------------------
+export const gradeLabels = {
+  "count-10": "Zählen bis 10",
+  "addsub-10": "Plus & Minus bis 10",
+  "addsub-100": "Rechnen bis 100",
+  "mult-10": "Das kleine Einmaleins",
+  "div-100": "Teilen bis 100",
+  "under-zero": "Unter die Null",
+  "place-1000": "Stellenwerte bis 1000",
+};
+
+// Sprungwerte von Lumi; die Erreichbarkeitsprüfung der Level rechnet mit denselben Zahlen.
+export const lumiPhysics = { speed: 140, jumpStrength: 320, gravity: 620, width: 42, height: 48 };
+export const levelGround = { x: 0, y: 345, width: 960, height: 20 };
+
+// Eingebaute Welt; weitere Welten kommen als JSON aus data/welten (siehe README dort).
+export const defaultWorld = {
+  id: "wald",
+  name: "Glühwürmchen-Wald",
+  backgrounds: Array.from(
+    { length: 8 },
+    (_, i) => `assets/forest-night${i === 0 ? "" : i + 1}.png`
+  ),
+  colors: null,
+  platform: { color: "244, 214, 140" },
+  completion: {
+    image: "assets/lumigluewuermchenfreundschaft.png",
+    text: "Schön! Jetzt leuchtet der Wald!",
+  },
+  lumi: {
+    ask: "Hilfst du mir?",
+    retry: "Fast! Lass uns nochmal schauen.",
+    success: "Wow! Jetzt leuchtet der Wald ✨",
+  },
+  ambient: { type: "sine", frequency: 96, gain: 0.02 },
+  map: { x: 18, y: 46 },
+  requires: null,
+};
+
+export const platformKindLabels = {
+  static: "Fest",
+  move: "Wandert hin und her",
+  bob: "Schwebt auf und ab",
+  bridge: "Glühwürmchen-Brücke",
+};
+
+// Bahn der bewegten Plattformen: Ausschlag in Pixeln, Tempo in Bogenmaß pro Sekunde.
+export const platformMotion = {
+  move: { range: 50, speed: 1.6 },
+  bob: { range: 16, speed: 2 },
+};
+
+// Höhere Stufen bringen etwas kniffligere Sprünge mit.
+export const gradePlatformKinds = {
+  "count-10": [],
+  "addsub-10": ["bob"],
+  "addsub-100": ["bob", "bridge"],
+  "mult-10": ["bob", "bridge", "move"],
+  "div-100": ["bob", "bridge", "move"],
+  "under-zero": ["bridge", "move"],
+  "place-1000": ["bob", "bridge", "move"],
+};
+
+// Sammelbare Belohnungen; freigeschaltet über die Summe aller verdienten Sterne.
+export const defaultFireflyColor = "243, 210, 122";
+
+export const rewardCatalog = [
+  {
+    id: "mint",
+    type: "firefly",
+    label: "Minzgrüne Glühwürmchen",
+    stars: 3,
+    color: "150, 226, 190",
+  },
+  { id: "zipfelmuetze", type: "hat", label: "Zipfelmütze", stars: 6 },
+  { id: "gruen", type: "glow", label: "Grünes Leuchten", stars: 8, color: "127, 200, 150" },
+  {
+    id: "rosa",
+    type: "firefly",
+    label: "Rosa Glühwürmchen",
+    stars: 10,
+    color: "240, 170, 200",
+  },
+  { id: "schal", type: "scarf", label: "Blauer Schal", stars: 15 },
+  { id: "ringelschal", type: "scarf", label: "Ringelschal", stars: 18 },
+  {
+    id: "blau",
+    type: "firefly",
+    label: "Himmelblaue Glühwürmchen",
+    stars: 21,
+    color: "150, 200, 245",
+  },
+  { id: "violett", type: "glow", label: "Violettes Leuchten", stars: 25, color: "181, 154, 214" },
+  { id: "krone", type: "hat", label: "Krone", stars: 30 },
+];
+
+// Garderobe: was Lumi tragen kann, in der Reihenfolge der Anzeige.
+export const wardrobeSlots = {
+  hat: "Hüte",
+  scarf: "Schals",
+  glow: "Leuchten",
+  firefly: "Glühwürmchen",
+};
+
+// Öffentliche Bilder liegen unter der Vite-Basis (/Lumocode/), egal wie tief die Seite liegt.
+// Außerhalb von Vite (Node-Tests) gibt es import.meta.env nicht.
+const assetBase = `${import.meta.env?.BASE_URL ?? "/"}assets/`;
+
+// Sprite-Bogen von Lumi: Raster, eine Zeile je Animation und optionale Ebenen
+// (Belohnungs-ID → Bogen im selben Raster). Ohne eigene Ebene wird gezeichnet.
+export const lumiSprite = {
+  sources: [`${assetBase}Lumisprite.png`],
+  columns: 4,
+  rows: 2,
+  animations: {
+    idle: { row: 0, frames: 1, frameTime: 0 },
+    run: { row: 0, frames: 4, frameTime: 0.09 },
+    jump: { row: 1, frames: 3, frameTime: 0.12 },
+  },
+  layers: {},
+};
@@ -0,0 +1,60 @@
+// -----------------------------
+// EventLog: Ereignisprotokoll einer Runde
+// -----------------------------
+export class EventLog {
+  constructor(settings) {
+    this.storageKey = settings.profiles.getEventsKey(settings.profile.id);
+    this.persist = settings.persist;
+    this.maxEvents = 2000;
+    this.sessionId = null;
+    this.events = this.load();
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+      console.warn("Event log load failed", error);
+      return [];
+    }
+  }
+
+  save() {
+    if (!this.persist) return;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.events));
+    } catch (error) {
+      // Speicher voll: ältere Hälfte verwerfen und erneut versuchen.
+      this.events = this.events.slice(Math.floor(this.events.length / 2));
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.events));
+      } catch (retryError) {
+        // Immer noch zu voll: diesmal nicht speichern, das Spiel läuft weiter.
+        console.warn("Event log save failed", retryError);
+      }
+    }
+  }
+
+  begin(sessionId) {
+    this.sessionId = sessionId;
+  }
+
+  record(type, data = {}) {
+    const event = { t: Date.now(), session: this.sessionId, type, ...data };
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      this.events = this.events.slice(-this.maxEvents);
+    }
+    this.save();
+    return event;
+  }
+
+  getSession(sessionId) {
+    return this.events.filter((event) => event.session === sessionId);
+  }
+
+  all() {
+    return this.events.slice();
+  }
+}
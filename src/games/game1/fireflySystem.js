@@ -0,0 +1,121 @@
+import { lerp } from "./util.js";
+import { defaultFireflyColor } from "./constants.js";
+import { Rng } from "./rng.js";
+
+// -----------------------------
+// FireflySystem: leuchtende Helfer
+// -----------------------------
+export class FireflySystem {
+  constructor(color = defaultFireflyColor, rng = new Rng()) {
+    this.fireflies = [];
+    this.color = color;
+    this.rng = rng;
+  }
+
+  clear() {
+    this.fireflies = [];
+  }
+
+  spawn(count, area, lightProgress) {
+    for (let i = 0; i < count; i += 1) {
+      this.fireflies.push({
+        x: area.x + this.rng.next() * area.width,
+        y: area.y + this.rng.next() * area.height,
+        radius: 6 + this.rng.next() * 6,
+        alpha: 0.6 + this.rng.next() * 0.3,
+        targetX: area.x + this.rng.next() * area.width,
+        targetY: area.y + this.rng.next() * area.height,
+        lightBoost: 0.8 + 0.4 * lightProgress,
+      });
+    }
+  }
+
+  // Beschriftete Glühwürmchen als Antwortziele; sie schweben ruhig auf der Stelle.
+  spawnChoices(labels, positions) {
+    this.clearChoices();
+    labels.forEach((label, index) => {
+      const position = positions[index];
+      this.fireflies.push({
+        label,
+        x: position.x,
+        y: position.y,
+        baseY: position.y,
+        phase: this.rng.next() * Math.PI * 2,
+        radius: 20,
+        alpha: 0.95,
+        lightBoost: 1,
+      });
+    });
+  }
+
+  clearChoices() {
+    this.fireflies = this.fireflies.filter((fly) => fly.label === undefined);
+  }
+
+  removeChoice(choice) {
+    this.fireflies = this.fireflies.filter((fly) => fly !== choice);
+  }
+
+  getChoices() {
+    return this.fireflies.filter((fly) => fly.label !== undefined);
+  }
+
+  choiceAt(x, y, padding = 0) {
+    return (
+      this.getChoices().find(
+        (fly) => Math.hypot(fly.x - x, fly.y - y) <= fly.radius + padding
+      ) || null
+    );
+  }
+
+  choiceInRect(rect) {
+    return (
+      this.getChoices().find(
+        (fly) =>
+          fly.x + fly.radius > rect.x &&
+          fly.x - fly.radius < rect.x + rect.width &&
+          fly.y + fly.radius > rect.y &&
+          fly.y - fly.radius < rect.y + rect.height
+      ) || null
+    );
+  }
+
+  update(dt) {
+    this.fireflies.forEach((fly) => {
+      if (fly.label !== undefined) {
+        fly.phase += dt * 2;
+        fly.y = fly.baseY + Math.sin(fly.phase) * 4;
+        return;
+      }
+      fly.x = lerp(fly.x, fly.targetX, dt * 1.5);
+      fly.y = lerp(fly.y, fly.targetY, dt * 1.5);
+      if (this.rng.next() > 0.98) {
+        fly.targetX += (this.rng.next() - 0.5) * 80;
+        fly.targetY += (this.rng.next() - 0.5) * 40;
+      }
+    });
+  }
+
+  draw(ctx, lightProgress, camera = null) {
+    this.fireflies.forEach((fly) => {
+      if (camera && !camera.isVisible(fly.x - fly.radius, fly.radius * 2, 40)) return;
+      const glow = fly.radius * (0.8 + 0.4 * lightProgress) * fly.lightBoost;
+      ctx.save();
+      ctx.fillStyle = `rgba(${this.color}, ${fly.alpha})`;
+      ctx.shadowColor = `rgba(${this.color}, 0.8)`;
+      ctx.shadowBlur = glow * 2;
+      ctx.beginPath();
+      ctx.arc(fly.x, fly.y, glow, 0, Math.PI * 2);
+      ctx.fill();
+      if (fly.label !== undefined) {
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = "#1f2a38";
+        ctx.font = '18px "Fable", system-ui, "Segoe UI", Arial, sans-serif';
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(fly.label, fly.x, fly.y + 1);
+      }
+      ctx.restore();
+    });
+  }
+}
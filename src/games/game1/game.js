@@ -0,0 +1,850 @@
+import { clamp, lerp, prefersReducedMotion, now, formatTimestamp, getPalette } from "./util.js";
+import { levelGround, defaultWorld, gradePlatformKinds } from "./constants.js";
+import { Settings } from "./settings.js";
+import { AudioBus } from "./audioBus.js";
+import { Speech } from "./speech.js";
+import { EventLog } from "./eventLog.js";
+import { SessionRecorder } from "./sessionRecorder.js";
+import { RewardShelf } from "./rewardShelf.js";
+import { MathEngine } from "./mathEngine.js";
+import { PlayerLumi } from "./playerLumi.js";
+import { FireflySystem } from "./fireflySystem.js";
+import { ManipulativeOverlay } from "./manipulativeOverlay.js";
+import { KonfettiEmitter } from "./konfettiEmitter.js";
+import { Camera } from "./camera.js";
+import { LevelValidator } from "./levelValidator.js";
+import { LevelStore } from "./levelStore.js";
+import { Level } from "./level.js";
+import { Rng } from "./rng.js";
+import { InputRecorder } from "./inputRecorder.js";
+
+// -----------------------------
+// Game: zentrale Schleife
+// -----------------------------
+export class Game {
+  constructor({
+    canvas,
+    meterFill,
+    meterEl,
+    lumiText,
+    taskText,
+    results = null,
+    world = defaultWorld,
+    replay = null,
+  }) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.meterFill = meterFill;
+    this.meterEl = meterEl;
+    this.lumiText = lumiText;
+    this.taskText = taskText;
+    this.results = results;
+    // Ein Startwert pro Runde (?seed=…), damit sich Runden genau nachspielen lassen.
+    this.rng = replay ? new Rng(replay.seed) : Rng.fromSearch(window.location.search);
+    this.debug = new URLSearchParams(window.location.search).has("debug");
+    this.settings = new Settings();
+    // Wiedergabe: Einstellungen vom Rundenbeginn, nichts wird gespeichert.
+    this.replay = replay;
+    if (replay) {
+      this.settings.persist = false;
+      Object.assign(this.settings.state, replay.settings);
+    }
+    this.recorder = new InputRecorder(this.settings);
+    this.reducedMotion = replay ? replay.reducedMotion : prefersReducedMotion();
+    this.rewards = new RewardShelf(this.settings);
+    this.world = world;
+    this.audio = new AudioBus(this.settings);
+    this.audio.ambient = world.ambient;
+    this.speech = new Speech(this.settings);
+    this.speech.lumiVoice = [world.lumi.ask, world.lumi.retry, world.lumi.success];
+    this.palette = getPalette();
+    this.events = new EventLog(this.settings);
+    this.levels = new LevelStore();
+    this.layout = replay ? replay.layout : this.getCustomLayout();
+    this.level = new Level(this.palette, this.events, {
+      layout: this.layout,
+      platformCount: this.getPlatformCount(),
+      platformKinds: gradePlatformKinds[this.settings.get("grade")] || [],
+      world,
+      rng: this.rng.fork("level"),
+    });
+    this.player = new PlayerLumi(this.audio);
+    this.player.worldWidth = this.level.worldWidth;
+    this.player.setOutfit(this.rewards.getOutfit());
+    this.camera = new Camera(canvas.width);
+    this.camera.setWorldWidth(this.level.worldWidth);
+    this.fireflies = new FireflySystem(
+      this.rewards.getFireflyColor(),
+      this.rng.fork("gluehwuermchen")
+    );
+    this.confetti = new KonfettiEmitter();
+    this.manipulatives = new ManipulativeOverlay(this.palette, this.reducedMotion);
+    this.math = new MathEngine(this.settings, this.rng.fork("aufgaben"));
+    this.startedAt = replay ? replay.startedAt : Date.now();
+    this.math.review.timeSource = () => this.startedAt + this.getSimTime();
+    this.session = new SessionRecorder(this.settings);
+    this.input = { left: false, right: false, jump: false };
+    this.lightProgress = 0.1;
+    this.targetLight = 0.1;
+    // Feste Simulationsschritte; gezeichnet wird zwischen den letzten beiden Ständen.
+    this.step = 1 / 60;
+    this.maxFrameTime = 0.1;
+    this.accumulator = 0;
+    this.frame = 0;
+    this.lastTime = now();
+    this.onReplayKey = null;
+    this.currentTask = null;
+    this.activePlatform = null;
+    this.taskActive = false;
+    this.lastTaskRef = null;
+    this.taskShownAt = 0;
+    this.hintLevel = 0;
+    this.onTaskChange = null;
+    this.countingActive = false;
+    this.mathBox = document.querySelector(".math-box");
+    this.taskBubbleText = "";
+    this.currentAnswerText = "";
+    this.completionImage = new Image();
+    this.completionImageLoaded = false;
+    if (world.completion.image) this.completionImage.src = world.completion.image;
+    this.completionImage.onload = () => {
+      this.completionImageLoaded = true;
+    };
+    this.completionImage.onerror = () => {
+      this.completionImageLoaded = false;
+    };
+    // Abschluss in Rundenzeit: Der Ergebnisdialog kommt auch beim Nachspielen im selben Schritt.
+    this.completionStart = null;
+    this.completionReadyAt = null;
+    this.completionFadeMs = 2000;
+    this.completionResult = null;
+    this.resultsShown = false;
+    this.finalPlatformUnlocked = false;
+    this.setDialog("");
+    this.setTaskVisible(false);
+    this.spawnPlayerAtGround();
+    this.camera.snapTo(this.player);
+  }
+
+  // Sachaufgaben erst laden: sonst hinge die erste Aufgabe davon ab, wie schnell das Netz ist.
+  start() {
+    this.audio.init();
+    this.math.loadWordProblems(this.settings.get("grade")).then(() => this.begin());
+  }
+
+  begin() {
+    this.session.start(this.world.id);
+    this.events.begin(this.session.session.id);
+    this.events.record("session-start", {
+      world: this.world.id,
+      grade: this.settings.get("grade"),
+      difficulty: this.settings.get("difficulty"),
+      platforms: this.level.platforms.length,
+      level: this.level.name,
+      seed: this.rng.seed,
+      replay: Boolean(this.replay),
+    });
+    if (this.replay) {
+      this.recorder.play(this.replay);
+    } else {
+      this.recorder.begin(this.createReplayHeader());
+    }
+    this.bindKeys();
+    this.updateTask();
+    this.lastTime = now();
+    requestAnimationFrame((time) => this.loop(time));
+  }
+
+  // Alles außer den Eingaben, was den Verlauf der Runde festlegt.
+  createReplayHeader() {
+    const settings = { ...this.settings.state };
+    delete settings.sessions;
+    return {
+      seed: this.rng.seed,
+      world: this.world.id,
+      layout: this.layout,
+      reducedMotion: this.reducedMotion,
+      step: this.step,
+      startedAt: this.startedAt,
+      settings,
+    };
+  }
+
+  // Rundenzeit in Millisekunden, gezählt in Simulationsschritten.
+  getSimTime() {
+    return this.frame * this.step * 1000;
+  }
+
+  // Live-Eingaben kommen mit Schrittnummer in die Aufnahme; in der Wiedergabe zählen sie nicht.
+  recordInput(type, data = {}) {
+    return this.recorder.record(this.frame, type, data);
+  }
+
+  setInput(action, state) {
+    if (this.input[action] === state) return;
+    if (this.recordInput("input", { action, state })) this.input[action] = state;
+  }
+
+  // Aufgenommene Eingaben genau vor dem Schritt anwenden, vor dem sie live kamen.
+  applyReplay() {
+    this.recorder.take(this.frame).forEach((entry) => {
+      if (entry.type === "input") this.input[entry.action] = entry.state;
+      if (entry.type === "key" && this.onReplayKey) this.onReplayKey(entry.key);
+      if (entry.type === "tap") this.tapAt(entry.x, entry.y);
+      if (entry.type === "show-me") this.showManipulative();
+    });
+    if (this.recorder.isFinished(this.frame)) {
+      this.input = { left: false, right: false, jump: false };
+    }
+  }
+
+  // ?level=<id> kommt aus dem Editor zum Ausprobieren und darf noch Lücken haben;
+  // das aktivierte Level für die Kinder muss vollständig erreichbar sein.
+  getCustomLayout() {
+    const params = new URLSearchParams(window.location.search);
+    const trial = this.levels.get(params.get("level"));
+    const layout = trial || this.levels.getActive();
+    if (!layout) return null;
+    const errors = this.levels.validatePlatforms(layout.platforms);
+    if (errors.length) {
+      console.warn("Custom level ignored", errors);
+      return null;
+    }
+    const reach = new LevelValidator().validate(layout.platforms, levelGround);
+    if (!reach.ok && !trial) {
+      console.warn("Custom level unreachable, using random level", reach.unreachable);
+      return null;
+    }
+    return layout;
+  }
+
+  // null = klassische Runde mit 5–7 Plattformen auf einem Bild.
+  getPlatformCount() {
+    const counts = { short: null, medium: 12, long: 20 };
+    return counts[this.settings.get("levelLength")] || null;
+  }
+
+  // Flächen in Bildschirmkoordinaten dorthin schieben, wo die Kamera gerade hinläuft.
+  toWorldArea(area) {
+    return { ...area, x: area.x + this.camera.getTarget(this.player) };
+  }
+
+  spawnPlayerAtGround() {
+    const platform = this.level.getSpawnPlatform();
+    if (!platform) return;
+    this.player.x = platform.x + Math.min(platform.width, this.canvas.width) * 0.2;
+    this.player.y = platform.y - this.player.height + 27;
+    this.player.vx = 0;
+    this.player.vy = 0;
+    this.player.onGround = true;
+  }
+
+  bindKeys() {
+    window.addEventListener("keydown", (event) => {
+      if (event.key === "ArrowLeft" || event.key === "a") this.setInput("left", true);
+      if (event.key === "ArrowRight" || event.key === "d") this.setInput("right", true);
+      if (event.key === " " || event.key === "ArrowUp" || event.key === "w")
+        this.setInput("jump", true);
+    });
+    window.addEventListener("keyup", (event) => {
+      if (event.key === "ArrowLeft" || event.key === "a") this.setInput("left", false);
+      if (event.key === "ArrowRight" || event.key === "d") this.setInput("right", false);
+      if (event.key === " " || event.key === "ArrowUp" || event.key === "w")
+        this.setInput("jump", false);
+    });
+    // Abgebrochene Runden trotzdem sichern, damit sie sich nachspielen lassen.
+    window.addEventListener("pagehide", () => {
+      if (this.completionStart === null) this.recorder.finish(this.frame);
+    });
+    window.addEventListener("keydown", () => {
+      this.handleCompletionExit();
+    });
+    window.addEventListener("click", () => {
+      this.handleCompletionExit();
+    });
+    this.canvas.addEventListener("pointerdown", (event) => this.handleCanvasTap(event));
+  }
+
+  setDialog(text) {
+    if (this.lumiText) this.lumiText.textContent = text;
+  }
+
+  updateTask() {
+    if (!this.activePlatform) return;
+    if (!this.activePlatform.task) {
+      this.activePlatform.task = this.createPlatformTask(this.activePlatform);
+    }
+    this.currentTask = this.activePlatform.task;
+    if (this.currentTask !== this.lastTaskRef) {
+      if (this.hasFireflyScene(this.lastTaskRef)) {
+        this.fireflies.clear();
+        this.countingActive = false;
+      }
+      if (this.hasFireflyScene(this.currentTask)) {
+        this.fireflies.clear();
+        this.fireflies.spawn(
+          this.currentTask.count,
+          this.toWorldArea({ x: 140, y: 120, width: 680, height: 170 }),
+          this.lightProgress
+        );
+        this.countingActive = true;
+      }
+      this.lastTaskRef = this.currentTask;
+      this.taskShownAt = this.getSimTime();
+      this.hintLevel = 0;
+      this.manipulatives.clear();
+      if (this.onTaskChange) this.onTaskChange(this.currentTask);
+    }
+    if (this.taskActive && this.settings.get("answerMode") === "choice") {
+      this.spawnChoiceFireflies();
+    }
+    this.taskBubbleText = this.currentTask.prompt;
+    if (this.taskText) {
+      this.taskText.textContent = this.taskActive ? "" : this.currentTask.prompt;
+    }
+    if (this.settings.get("ttsAuto") && this.taskActive) {
+      this.speech.speakTask(this.currentTask);
+    }
+  }
+
+  createPlatformTask(platform) {
+    if (platform.fixedTask) {
+      const { prompt, answer } = platform.fixedTask;
+      return this.math.createFixedTask(prompt, answer, platform.grade || undefined);
+    }
+    return this.math.createTask(platform.grade || undefined);
+  }
+
+  hasFireflyScene(task) {
+    return Boolean(task && (task.type === "count" || task.scene === "fireflies"));
+  }
+
+  checkAnswer(value) {
+    if (!this.currentTask || !this.activePlatform) return false;
+    const isCorrect = this.math.isCorrect(this.currentTask, value);
+    this.events.record("answer", {
+      key: this.currentTask.key,
+      prompt: this.currentTask.prompt,
+      value: String(value),
+      correct: isCorrect,
+      ms: Math.round(this.getSimTime() - this.taskShownAt),
+    });
+    this.session.recordAnswer(this.currentTask, isCorrect);
+    this.math.recordAnswer(this.currentTask, isCorrect, this.getSimTime() - this.taskShownAt);
+    this.taskShownAt = this.getSimTime();
+    if (isCorrect) {
+      this.audio.success();
+      this.setDialog(this.world.lumi.success);
+      if (this.hasFireflyScene(this.currentTask)) {
+        this.fireflies.clear();
+        this.countingActive = false;
+      }
+      this.level.unlockPlatform(this.activePlatform, this.player.x + this.player.width * 0.5);
+      this.fireflies.spawn(
+        this.fireflies.rng.int(2, 3),
+        this.toWorldArea({ x: 200, y: 160, width: 500, height: 120 }),
+        this.lightProgress
+      );
+      const viewX = this.camera.getTarget(this.player);
+      this.confetti.burst(viewX + this.canvas.width * 0.5, this.canvas.height * 0.3);
+      this.manipulatives.clear();
+      this.increaseLight();
+      this.currentTask = null;
+      this.activePlatform = null;
+      this.currentAnswerText = "";
+      this.setTaskVisible(false);
+      if (!this.level.getNextLockedPlatform()) {
+        this.finalPlatformUnlocked = true;
+      }
+      return true;
+    }
+    this.audio.softPop();
+    this.showHint();
+    return false;
+  }
+
+  // "Zeig's mir": passendes Anschauungsmaterial zur aktuellen Aufgabe animieren.
+  showManipulative() {
+    if (!this.taskActive || !this.currentTask) return false;
+    const visual = this.math.createVisual(this.currentTask);
+    if (!visual) return false;
+    this.manipulatives.show(visual, true);
+    this.events.record("manipulative", { key: this.currentTask.key, kind: visual.kind });
+    return true;
+  }
+
+  // Nach jedem Fehlversuch die nächste Hilfestufe, ab dem dritten der Lösungsweg.
+  showHint() {
+    const hints = this.math.createHints(this.currentTask);
+    this.hintLevel = Math.min(this.hintLevel + 1, hints.length);
+    const hint = hints[this.hintLevel - 1];
+    const text = this.hintLevel === 1 ? `${this.speech.lumiVoice[1]} ${hint.text}` : hint.text;
+    this.setDialog(text);
+    if (hint.visual) this.manipulatives.show(hint.visual, true);
+    if (this.settings.get("ttsAuto")) this.speech.speak(text);
+    this.session.recordHint();
+    this.events.record("hint", { key: this.currentTask.key, level: this.hintLevel });
+  }
+
+  // Antwort-Glühwürmchen in Sprunghöhe neben Lumi, aber nicht direkt über Lumi.
+  spawnChoiceFireflies() {
+    const labels = this.math.createChoices(this.currentTask);
+    const slots = [-1, 1, -2, 2].slice(0, labels.length).sort((a, b) => a - b);
+    const spacing = 100;
+    const centerX = this.player.x + this.player.width * 0.5;
+    const y = this.player.y + this.player.height - 76;
+    let xs = slots.map((slot) => centerX + slot * spacing);
+    const viewX = this.camera.getTarget(this.player);
+    const shift =
+      Math.max(0, viewX + 40 - Math.min(...xs)) - Math.max(0, Math.max(...xs) - viewX - 920);
+    xs = xs.map((x) => x + shift);
+    this.fireflies.spawnChoices(labels, xs.map((x) => ({ x, y })));
+  }
+
+  answerChoice(choice) {
+    if (this.checkAnswer(choice.label)) {
+      this.fireflies.clearChoices();
+    } else {
+      this.fireflies.removeChoice(choice);
+    }
+  }
+
+  handleCanvasTap(event) {
+    if (!this.taskActive || this.settings.get("answerMode") !== "choice") return;
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * this.canvas.width + this.camera.x;
+    const y = ((event.clientY - rect.top) / rect.height) * this.canvas.height;
+    if (this.recordInput("tap", { x, y })) this.tapAt(x, y);
+  }
+
+  tapAt(x, y) {
+    const choice = this.fireflies.choiceAt(x, y, 12);
+    if (choice) this.answerChoice(choice);
+  }
+
+  setTaskVisible(active) {
+    this.taskActive = active;
+    if (!active) this.fireflies.clearChoices();
+    if (this.mathBox) this.mathBox.hidden = false;
+    if (this.taskText && this.currentTask) {
+      this.taskText.textContent = active ? "" : this.currentTask.prompt;
+    }
+    if (this.keypad) this.keypad.hidden = active;
+    if (this.answerInput) this.answerInput.hidden = active;
+  }
+
+  isPlayerNearPlatform(platform) {
+    const playerRight = this.player.x + this.player.width;
+    const playerLeft = this.player.x;
+    const closeX =
+      playerRight > platform.x - 24 && playerLeft < platform.x + platform.width + 24;
+    const closeY = this.player.y + this.player.height > platform.y - 120;
+    return closeX && closeY;
+  }
+
+  updateTaskGate() {
+    const nextPlatform = this.level.getNextLockedPlatform();
+    if (!nextPlatform) {
+      this.setTaskVisible(false);
+      return;
+    }
+    const shouldShow = this.isPlayerNearPlatform(nextPlatform);
+    if (shouldShow) {
+      if (this.activePlatform !== nextPlatform) {
+        this.activePlatform = nextPlatform;
+        this.setTaskVisible(true);
+        this.updateTask();
+        this.logTaskShown();
+      } else if (!this.taskActive) {
+        this.setTaskVisible(true);
+        this.updateTask();
+        this.logTaskShown();
+      }
+    } else if (this.taskActive) {
+      this.setTaskVisible(false);
+    }
+  }
+
+  logTaskShown() {
+    if (!this.currentTask) return;
+    this.events.record("task-shown", {
+      platform: this.level.platforms.indexOf(this.activePlatform),
+      key: this.currentTask.key,
+      prompt: this.currentTask.prompt,
+      answer: this.currentTask.answer,
+      review: Boolean(this.currentTask.review),
+    });
+  }
+
+  increaseLight() {
+    this.targetLight = clamp(this.targetLight + 0.15, 0.1, 1);
+    if (this.reducedMotion) {
+      this.lightProgress = this.targetLight;
+    }
+  }
+
+  // Gleiche Physik bei 60 und 120 Hz: feste Schritte, der Rest wird beim Zeichnen überblendet.
+  loop(time) {
+    this.accumulator += clamp((time - this.lastTime) / 1000, 0, this.maxFrameTime);
+    this.lastTime = time;
+    while (this.accumulator >= this.step) {
+      this.savePositions();
+      this.tick(this.step);
+      this.accumulator -= this.step;
+    }
+    this.draw(this.accumulator / this.step);
+    requestAnimationFrame((t) => this.loop(t));
+  }
+
+  tick(dt) {
+    if (this.replay) this.applyReplay();
+    if (!this.reducedMotion) {
+      this.lightProgress = lerp(this.lightProgress, this.targetLight, dt * 2.5);
+    }
+
+    this.level.update(dt, this.reducedMotion);
+    this.player.update(
+      dt,
+      this.input,
+      this.level.getSolidPlatforms(),
+      this.level.getSpawnPlatform()
+    );
+    this.camera.update(dt, this.player, this.reducedMotion);
+    this.checkCompletionLanding();
+    if (this.completionStart !== null && this.getSimTime() >= this.completionReadyAt) {
+      this.showResults();
+    }
+    if (this.taskActive && this.settings.get("answerMode") === "choice") {
+      const choice = this.fireflies.choiceInRect(this.player);
+      if (choice) this.answerChoice(choice);
+    }
+    this.fireflies.update(dt);
+    this.confetti.update(dt);
+    this.manipulatives.update(dt);
+    this.updateTaskGate();
+    this.frame += 1;
+  }
+
+  getMovingBodies() {
+    return [this.player, this.camera, ...this.level.platforms];
+  }
+
+  savePositions() {
+    this.getMovingBodies().forEach((body) => {
+      body.prevX = body.x;
+      body.prevY = body.y;
+    });
+  }
+
+  // Zum Zeichnen kurz auf den Zwischenstand setzen; die Simulation sieht davon nichts.
+  draw(alpha = 1) {
+    const bodies = this.getMovingBodies();
+    const saved = bodies.map((body) => ({ x: body.x, y: body.y }));
+    bodies.forEach((body) => {
+      if (body.prevX !== undefined) body.x = lerp(body.prevX, body.x, alpha);
+      if (body.prevY !== undefined) body.y = lerp(body.prevY, body.y, alpha);
+    });
+    this.drawScene();
+    bodies.forEach((body, index) => {
+      body.x = saved[index].x;
+      if (body.prevY !== undefined) body.y = saved[index].y;
+    });
+  }
+
+  // Welt mit Kamera-Verschiebung, Tipps & Abschluss fest im Bild.
+  drawScene() {
+    this.level.drawBackground(this.ctx, this.lightProgress, this.camera);
+    this.ctx.save();
+    this.camera.apply(this.ctx);
+    this.level.drawPlatforms(this.ctx, this.camera);
+    this.fireflies.draw(this.ctx, this.lightProgress, this.camera);
+    this.confetti.draw(this.ctx);
+    this.drawTaskBubble();
+    this.player.draw(this.ctx);
+    this.ctx.restore();
+    this.manipulatives.draw(this.ctx);
+    this.level.drawVignette(this.ctx, 1 - this.lightProgress);
+    this.drawCompletionOverlay();
+    this.drawReplayBadge();
+    this.drawDebugOverlay();
+    this.updateMeter();
+  }
+
+  // ?debug blendet Startwert und Eckdaten ein, damit Fehlerberichte nachspielbar sind.
+  drawDebugOverlay() {
+    if (!this.debug) return;
+    const lines = [
+      `Seed: ${this.rng.seed}`,
+      `Stufe: ${this.settings.get("grade")} · Welt: ${this.world.id}`,
+      `Plattformen: ${this.level.platforms.length} · Breite: ${this.level.worldWidth}`,
+      `Lumi: ${Math.round(this.player.x)}, ${Math.round(this.player.y)}`,
+      `Schritt: ${this.frame}${this.replay ? ` / ${this.replay.frames} (Wiedergabe)` : ""}`,
+    ];
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.font = "13px ui-monospace, Menlo, Consolas, monospace";
+    ctx.textBaseline = "top";
+    const width = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 16;
+    ctx.fillStyle = "rgba(12, 16, 22, 0.75)";
+    ctx.fillRect(8, 8, width, lines.length * 18 + 10);
+    ctx.fillStyle = "#FFF6EC";
+    lines.forEach((line, index) => ctx.fillText(line, 16, 14 + index * 18));
+    ctx.restore();
+  }
+
+  drawReplayBadge() {
+    if (!this.replay) return;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.font = '16px "Fable", system-ui, "Segoe UI", Arial, sans-serif';
+    ctx.textAlign = "right";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "rgba(12, 16, 22, 0.6)";
+    ctx.beginPath();
+    ctx.roundRect(ctx.canvas.width - 168, 12, 156, 30, 15);
+    ctx.fill();
+    ctx.fillStyle = "#FFF6EC";
+    ctx.fillText("▶ Dein Lauf", ctx.canvas.width - 26, 19);
+    ctx.restore();
+  }
+
+  startCompletion() {
+    if (this.completionStart !== null) return;
+    this.completionStart = this.getSimTime();
+    this.completionReadyAt = this.completionStart + this.completionFadeMs;
+    this.taskActive = false;
+    this.recorder.finish(this.frame);
+    this.session.complete();
+    const stars = this.session.getStars();
+    // Beim Zuschauen gibt es keine Sterne ein zweites Mal.
+    const rewards = this.replay ? [] : this.rewards.award(stars);
+    this.completionResult = { session: { ...this.session.session }, stars, rewards };
+    this.events.record("completed", {
+      durationMs: Date.now() - this.session.session.startedAt,
+      stars,
+      rewards: rewards.map((reward) => reward.id),
+    });
+  }
+
+  handleCompletionExit() {
+    if (this.completionStart === null || this.getSimTime() < this.completionReadyAt) return;
+    // Mit Ergebnisdialog geht es über dessen Knopf weiter.
+    if (this.results) return;
+    window.location.href = "lumoland/index.html";
+  }
+
+  // Ergebnis nach dem Einblenden: Sterne, kurze Bilanz und neue Belohnungen.
+  showResults() {
+    if (!this.results || this.resultsShown || !this.completionResult) return;
+    this.resultsShown = true;
+    const { session, stars, rewards } = this.completionResult;
+    const find = (selector) => this.results.querySelector(selector);
+    const starsEl = find("[data-results-stars]");
+    if (starsEl) {
+      starsEl.textContent = `${"★".repeat(stars)}${"☆".repeat(3 - stars)}`;
+      starsEl.setAttribute("aria-label", `${stars} von 3 Sternen`);
+    }
+    const summary = find("[data-results-summary]");
+    if (summary) {
+      const taskWord = session.tasks === 1 ? "Aufgabe" : "Aufgaben";
+      summary.textContent =
+        `${session.tasks} ${taskWord}, ${session.firstTry} beim ersten Versuch`;
+    }
+    const hints = find("[data-results-hints]");
+    if (hints) {
+      hints.textContent = session.hints
+        ? `${session.hints} ${session.hints === 1 ? "Tipp" : "Tipps"} genutzt`
+        : "Ganz ohne Tipps geschafft!";
+    }
+    const list = find("[data-results-rewards]");
+    if (list) {
+      list.innerHTML = "";
+      rewards.forEach((reward) => {
+        const item = document.createElement("li");
+        item.textContent = `Neu: ${reward.label}`;
+        list.appendChild(item);
+      });
+      const next = this.rewards.getNext();
+      if (next) {
+        const item = document.createElement("li");
+        item.className = "tts-note";
+        const missing = next.stars - this.rewards.getState().stars;
+        const starWord = missing === 1 ? "Stern" : "Sterne";
+        item.textContent = `Noch ${missing} ${starWord} bis: ${next.label}`;
+        list.appendChild(item);
+      }
+    }
+    const replayButton = find("[data-results-replay]");
+    if (replayButton && this.replay) replayButton.textContent = "Nochmal ansehen";
+    this.results.hidden = false;
+    this.results.classList.add("open");
+    this.results.setAttribute("aria-hidden", "false");
+    find("[data-results-continue]")?.focus();
+  }
+
+  checkCompletionLanding() {
+    if (!this.finalPlatformUnlocked || this.completionStart !== null) return;
+    const lastPlatform = this.level.platforms[this.level.platforms.length - 1];
+    if (!lastPlatform) return;
+    const playerBottom = this.player.y + this.player.height;
+    const withinX =
+      this.player.x + this.player.width > lastPlatform.x &&
+      this.player.x < lastPlatform.x + lastPlatform.width;
+    const onPlatform =
+      withinX && Math.abs(playerBottom - lastPlatform.y) < 4 && this.player.onGround;
+    if (onPlatform) {
+      this.startCompletion();
+    }
+  }
+
+  drawCompletionOverlay() {
+    if (this.completionStart === null) return;
+    const elapsed = this.getSimTime() - this.completionStart;
+    const fadeProgress = this.reducedMotion
+      ? 1
+      : clamp(elapsed / this.completionFadeMs, 0, 1);
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = fadeProgress;
+    if (this.completionImageLoaded) {
+      ctx.drawImage(this.completionImage, 0, 0, ctx.canvas.width, ctx.canvas.height);
+    } else {
+      ctx.fillStyle = "rgba(12, 16, 22, 0.85)";
+      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+    ctx.font = '28px "Fable", system-ui, "Segoe UI", Arial, sans-serif';
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.shadowColor = "rgba(12,16,22,0.6)";
+    ctx.shadowBlur = 14;
+    ctx.fillStyle = "#FFF6EC";
+    ctx.strokeStyle = "rgba(12,16,22,0.75)";
+    ctx.lineWidth = 4;
+    ctx.strokeText(this.world.completion.text, ctx.canvas.width / 2, 36);
+    ctx.fillText(this.world.completion.text, ctx.canvas.width / 2, 36);
+    ctx.restore();
+  }
+
+  drawTaskBubble() {
+    if (!this.taskActive || !this.taskBubbleText || !this.activePlatform) return;
+    const ctx = this.ctx;
+    const padding = 12;
+    const maxWidth = 260;
+    const lineHeight = 20;
+    ctx.save();
+    ctx.font = '16px "Fable", system-ui, "Segoe UI", Arial, sans-serif';
+    ctx.textBaseline = "top";
+    // Lücken (□ bzw. ☐) werden als Kästchen gezeichnet, die Eingabe erscheint darin.
+    const gapTokens = ["□", "☐"];
+    const gapWidth = Math.max(28, ctx.measureText(this.currentAnswerText).width + 12);
+    const spaceWidth = ctx.measureText(" ").width;
+    const measureWord = (word) =>
+      gapTokens.includes(word) ? gapWidth : ctx.measureText(word).width;
+    const measureLine = (lineWords) =>
+      lineWords.reduce((sum, word) => sum + measureWord(word), 0) +
+      Math.max(0, lineWords.length - 1) * spaceWidth;
+    const lines = [];
+    const bubblePrompt =
+      (this.currentTask && this.currentTask.bubble) || `${this.taskBubbleText} =`;
+    const words = bubblePrompt.split(" ");
+    const hasGap = words.some((word) => gapTokens.includes(word));
+    let line = [];
+    words.forEach((word) => {
+      const testLine = [...line, word];
+      if (line.length && measureLine(testLine) > maxWidth) {
+        lines.push(line);
+        line = [word];
+      } else {
+        line = testLine;
+      }
+    });
+    if (line.length) lines.push(line);
+    if (this.currentAnswerText && !hasGap) {
+      lines.push([this.currentAnswerText]);
+    }
+    const textWidth = Math.min(maxWidth, Math.max(...lines.map(measureLine), 0));
+    const bubbleWidth = textWidth + padding * 2;
+    const bubbleHeight = lines.length * lineHeight + padding * 2;
+
+    const anchorX = this.activePlatform.x + this.activePlatform.width * 0.5;
+    const anchorY = this.activePlatform.y;
+    let bubbleX = anchorX - bubbleWidth * 0.5;
+    let bubbleY = anchorY - bubbleHeight - 12;
+    const viewLeft = this.camera.x;
+    bubbleX = clamp(bubbleX, viewLeft + 12, viewLeft + ctx.canvas.width - bubbleWidth - 12);
+    bubbleY = Math.max(12, bubbleY);
+
+    ctx.fillStyle = "rgba(46, 63, 82, 0.95)";
+    ctx.strokeStyle = "rgba(243,210,122,0.6)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(bubbleX, bubbleY, bubbleWidth, bubbleHeight, 12);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = "#FFF6EC";
+    lines.forEach((lineWords, index) => {
+      let x = bubbleX + padding;
+      const y = bubbleY + padding + index * lineHeight;
+      lineWords.forEach((word) => {
+        if (gapTokens.includes(word)) {
+          this.drawGapBox(ctx, x, y, gapWidth, lineHeight);
+        } else {
+          ctx.fillText(word, x, y);
+        }
+        x += measureWord(word) + spaceWidth;
+      });
+    });
+    ctx.restore();
+  }
+
+  drawGapBox(ctx, x, y, width, height) {
+    ctx.save();
+    ctx.strokeStyle = this.palette.accentWarm || "#f3d27a";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(x, y - 3, width, height + 2, 6);
+    ctx.stroke();
+    if (this.currentAnswerText) {
+      ctx.textAlign = "center";
+      ctx.fillText(this.currentAnswerText, x + width * 0.5, y);
+    }
+    ctx.restore();
+  }
+
+  updateMeter() {
+    if (!this.meterFill || !this.meterEl) return;
+    const percentage = `${Math.round(this.lightProgress * 100)}%`;
+    this.meterFill.style.width = percentage;
+    this.meterEl.setAttribute("aria-valuenow", this.lightProgress.toFixed(2));
+  }
+
+  takePhoto() {
+    if (this.reducedMotion) {
+      this.downloadCanvas();
+      return;
+    }
+    const flash = document.createElement("div");
+    flash.style.position = "absolute";
+    flash.style.inset = "0";
+    flash.style.background = "rgba(255,255,255,0.9)";
+    flash.style.pointerEvents = "none";
+    flash.style.transition = "opacity 0.4s ease";
+    this.canvas.parentElement.appendChild(flash);
+    requestAnimationFrame(() => {
+      flash.style.opacity = "0";
+    });
+    setTimeout(() => {
+      flash.remove();
+      this.downloadCanvas();
+    }, 420);
+  }
+
+  downloadCanvas() {
+    const link = document.createElement("a");
+    link.download = `lumoland_schnappschuss_${formatTimestamp(new Date())}.png`;
+    link.href = this.canvas.toDataURL("image/png");
+    link.click();
+    this.audio.camera();
+  }
+}
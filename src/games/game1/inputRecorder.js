@@ -0,0 +1,72 @@
+// -----------------------------
+// InputRecorder: Eingaben einer Runde aufzeichnen & nachspielen
+// -----------------------------
+export class InputRecorder {
+  constructor(settings) {
+    this.storageKey = settings.profiles.getReplayKey(settings.profile.id);
+    this.mode = null;
+    this.recording = null;
+    this.cursor = 0;
+  }
+
+  // Kopf mit allem, was die Runde außer den Eingaben bestimmt (Startwert, Level, Einstellungen).
+  begin(header) {
+    this.mode = "record";
+    this.recording = { version: 1, ...header, frames: 0, events: [] };
+  }
+
+  // Gibt false zurück, wenn gerade nichts aufgenommen wird – dann gilt die Eingabe nicht.
+  record(frame, type, data = {}) {
+    if (this.mode !== "record") return false;
+    this.recording.events.push({ frame, type, ...data });
+    return true;
+  }
+
+  finish(frames) {
+    if (this.mode !== "record") return;
+    this.recording.frames = frames;
+    this.save();
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.recording));
+    } catch (error) {
+      console.warn("Replay save failed", error);
+    }
+  }
+
+  // Letzte Aufnahme des Profils oder null.
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey));
+      if (!data || data.version !== 1 || !Array.isArray(data.events)) return null;
+      return data;
+    } catch (error) {
+      console.warn("Replay load failed", error);
+      return null;
+    }
+  }
+
+  play(recording) {
+    this.mode = "play";
+    this.recording = recording;
+    this.cursor = 0;
+  }
+
+  // Alle Eingaben, die vor diesem Schritt fällig sind, in aufgenommener Reihenfolge.
+  take(frame) {
+    if (this.mode !== "play") return [];
+    const due = [];
+    const events = this.recording.events;
+    while (this.cursor < events.length && events[this.cursor].frame <= frame) {
+      due.push(events[this.cursor]);
+      this.cursor += 1;
+    }
+    return due;
+  }
+
+  isFinished(frame) {
+    return this.mode === "play" && frame >= this.recording.frames;
+  }
+}
@@ -0,0 +1,42 @@
+// -----------------------------
+// KonfettiEmitter
+// -----------------------------
+export class KonfettiEmitter {
+  constructor() {
+    this.particles = [];
+  }
+
+  burst(x, y) {
+    for (let i = 0; i < 40; i += 1) {
+      this.particles.push({
+        x,
+        y,
+        vx: (Math.random() - 0.5) * 200,
+        vy: -Math.random() * 200,
+        life: 1,
+        size: 4 + Math.random() * 3,
+        color: Math.random() > 0.5 ? "#F3D27A" : "#FFFFFF",
+      });
+    }
+  }
+
+  update(dt) {
+    this.particles.forEach((p) => {
+      p.vy += 260 * dt;
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.life -= dt * 1.2;
+    });
+    this.particles = this.particles.filter((p) => p.life > 0);
+  }
+
+  draw(ctx) {
+    this.particles.forEach((p) => {
+      ctx.save();
+      ctx.globalAlpha = p.life;
+      ctx.fillStyle = p.color;
+      ctx.fillRect(p.x, p.y, p.size, p.size);
+      ctx.restore();
+    });
+  }
+}
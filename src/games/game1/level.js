@@ -0,0 +1,408 @@
+import { clamp, mixColors } from "./util.js";
+import {
+  lumiPhysics,
+  levelGround,
+  defaultWorld,
+  platformKindLabels,
+  platformMotion,
+} from "./constants.js";
+import { LevelValidator } from "./levelValidator.js";
+import { Rng } from "./rng.js";
+
+// -----------------------------
+// Level: Hintergrund & Plattformen
+// -----------------------------
+export class Level {
+  constructor(palette, events = null, options = {}) {
+    const { layout = null, platformCount = null, platformKinds = [] } = options;
+    this.world = options.world || defaultWorld;
+    this.rng = options.rng || new Rng();
+    this.palette = palette;
+    this.events = events;
+    this.name = layout ? layout.name : null;
+    this.platformCount = platformCount;
+    this.platformKinds = platformKinds;
+    this.worldWidth = 960;
+    this.backgroundImage = new Image();
+    this.activeBackgroundImage = null;
+    this.pendingBackgroundImage = null;
+    this.backgroundImageLoaded = false;
+    this.maxBackgroundIndex = this.world.backgrounds.length;
+    this.groundPlatform = null;
+    this.platforms = layout ? this.createFromLayout(layout) : this.generatePlatforms();
+    this.updateBackgroundForProgress();
+  }
+
+  updateBackgroundForProgress() {
+    // Welten ohne Bilder zeichnen nur den Farbverlauf.
+    if (!this.maxBackgroundIndex) return;
+    const unlockedCount = this.platforms.filter((platform) => platform.unlocked).length;
+    // Lange Level verteilen die Hintergründe gleichmäßig über den Weg.
+    const total = this.platforms.length;
+    const step =
+      total > this.maxBackgroundIndex
+        ? Math.ceil((unlockedCount / total) * this.maxBackgroundIndex)
+        : unlockedCount;
+    const index = clamp(step, 1, this.maxBackgroundIndex);
+    const src = this.world.backgrounds[index - 1];
+    const nextImage = new Image();
+    this.pendingBackgroundImage = nextImage;
+    this.backgroundImageLoaded = Boolean(this.activeBackgroundImage);
+    nextImage.onload = () => {
+      if (this.pendingBackgroundImage !== nextImage) return;
+      this.activeBackgroundImage = nextImage;
+      this.backgroundImageLoaded = true;
+      this.pendingBackgroundImage = null;
+    };
+    nextImage.onerror = () => {
+      if (this.pendingBackgroundImage !== nextImage) return;
+      this.pendingBackgroundImage = null;
+      if (!this.activeBackgroundImage) this.backgroundImageLoaded = false;
+    };
+    nextImage.src = src;
+  }
+
+  // Zufallslayouts werden nachgebessert oder neu gewürfelt, bis Lumi jede Plattform
+  // erreicht; klappt das nie, gibt es eine einfache Treppe.
+  generatePlatforms() {
+    const count = this.platformCount || 5 + Math.floor(this.rng.next() * 3);
+    for (let attempt = 0; attempt < 8; attempt += 1) {
+      const platforms =
+        count > 7 ? this.createTrailPlatforms(count) : this.createRandomPlatforms(count);
+      const validator = this.setWorldFor(platforms);
+      this.adjustUnreachable(platforms, validator);
+      if (validator.validate(platforms, this.groundPlatform).ok) {
+        this.assignKinds(platforms, validator);
+        return platforms;
+      }
+    }
+    console.warn("Random level unreachable, using staircase");
+    const staircase = this.createStaircase(count);
+    this.setWorldFor(staircase);
+    return staircase;
+  }
+
+  // Die Welt reicht bis hinter die letzte Plattform, mindestens aber ein Bild breit.
+  setWorldFor(platforms) {
+    const right = Math.max(...platforms.map((platform) => platform.x + platform.width));
+    this.worldWidth = Math.max(960, Math.ceil(right + 40));
+    this.groundPlatform = this.createGroundPlatform();
+    return new LevelValidator(lumiPhysics, this.worldWidth);
+  }
+
+  // Unerreichbare Plattformen schrittweise zur vorherigen ziehen: seitlich näher
+  // heran und etwas tiefer, aber nie unter die vorherige.
+  adjustUnreachable(platforms, validator) {
+    platforms.forEach((platform, index) => {
+      const previous = index === 0 ? this.groundPlatform : platforms[index - 1];
+      const sources = [this.groundPlatform, ...platforms.slice(0, index)];
+      for (let step = 0; step < 12; step += 1) {
+        if (sources.some((from) => validator.canReach(from, platform))) return;
+        const towards = previous.x + previous.width / 2 - (platform.x + platform.width / 2);
+        const maxX = this.worldWidth - 40 - platform.width;
+        platform.x = clamp(platform.x + clamp(towards, -20, 20), 40, maxX);
+        platform.y = Math.max(platform.y, Math.min(platform.y + 6, previous.y - 30));
+      }
+    });
+  }
+
+  // Einzelne Plattformen (nie die erste) bekommen eine Art der Stufe – aber nur,
+  // wenn der Weg dadurch erreichbar bleibt.
+  assignKinds(platforms, validator) {
+    if (!this.platformKinds.length) return;
+    platforms.forEach((platform, index) => {
+      if (index === 0 || this.rng.next() > 0.35) return;
+      const kinds = this.platformKinds;
+      this.setKind(platform, kinds[this.rng.int(0, kinds.length - 1)]);
+      const sources = [this.groundPlatform, ...platforms.slice(0, index)];
+      const reachable = sources.some((from) => validator.canReach(from, platform));
+      const next = platforms[index + 1];
+      const carries =
+        !next || [...sources, platform].some((from) => validator.canReach(from, next));
+      if (!reachable || !carries) this.setKind(platform, "static");
+    });
+  }
+
+  setKind(platform, kind) {
+    platform.kind = platformKindLabels[kind] ? kind : "static";
+    platform.originX = platform.originX ?? platform.x;
+    platform.originY = platform.originY ?? platform.y;
+    platform.x = platform.originX;
+    platform.y = platform.originY;
+    platform.deltaX = 0;
+    platform.deltaY = 0;
+    Object.assign(platform, platformMotion[platform.kind] || { range: 0, speed: 0 });
+    platform.phase = this.rng.next() * Math.PI * 2;
+    if (platform.kind === "bridge") {
+      platform.segments = 4;
+      platform.lit = platform.unlocked ? platform.segments : 0;
+      platform.lightFrom = "left";
+    }
+  }
+
+  // Bewegte Plattformen merken sich ihren Versatz, damit PlayerLumi mitfahren kann.
+  // Bei reduzierter Bewegung bleiben sie still, Brücken leuchten sofort.
+  // Bewegt wird nach der Einstellung, die das Spiel aufgezeichnet hat, nicht nach dem Browser.
+  update(dt, reduced) {
+    this.platforms.forEach((platform) => {
+      if ((platform.kind === "move" || platform.kind === "bob") && !reduced) {
+        platform.phase += dt * platform.speed;
+        const offset = Math.sin(platform.phase) * platform.range;
+        const x = platform.originX + (platform.kind === "move" ? offset : 0);
+        const y = platform.originY + (platform.kind === "bob" ? offset : 0);
+        platform.deltaX = x - platform.x;
+        platform.deltaY = y - platform.y;
+        platform.x = x;
+        platform.y = y;
+      }
+      if (platform.kind === "bridge" && platform.unlocked && platform.lit < platform.segments) {
+        platform.lit = reduced ? platform.segments : platform.lit + dt * 4;
+        platform.lit = Math.min(platform.segments, platform.lit);
+      }
+    });
+  }
+
+  createStaircase(count) {
+    return Array.from({ length: count }, (_, i) => ({
+      x: 120 + i * 120,
+      y: 300 - (i % 5) * 40,
+      width: 120,
+      height: 20,
+      unlocked: i === 0,
+      task: null,
+    }));
+  }
+
+  createRandomPlatforms(count) {
+    const platforms = [];
+    const minX = 70;
+    const maxX = 860;
+    const baseY = 300;
+    const height = 20;
+    const minVerticalGap = 42;
+    const minPlatformY = 190;
+    const maxPlatformY = 300;
+    let lastY = baseY + minVerticalGap;
+    let lastX = minX + this.rng.next() * (maxX - minX);
+    let direction = this.rng.next() > 0.5 ? 1 : -1;
+    for (let i = 0; i < count; i += 1) {
+      if (i > 0 && this.rng.next() > 0.6) direction *= -1;
+      const width = 110 + this.rng.next() * 80;
+      const stepX = 140 + this.rng.next() * 140;
+      let x = clamp(
+        lastX + direction * stepX + (this.rng.next() - 0.5) * 40,
+        40,
+        920 - width
+      );
+      const targetY = baseY - (i + 1) * 48 + (this.rng.next() - 0.5) * 8;
+      const clampedY = clamp(targetY, minPlatformY, maxPlatformY);
+      let y = Math.min(clampedY, lastY - minVerticalGap);
+      if (Math.abs(x - lastX) < 100 && Math.abs(y - lastY) < minVerticalGap + 6) {
+        x = clamp(x + direction * 120, 40, 920 - width);
+        y = Math.min(y, lastY - minVerticalGap);
+      }
+      lastX = x;
+      lastY = y;
+      platforms.push({
+        x,
+        y,
+        width,
+        height,
+        unlocked: i === 0,
+        task: null,
+      });
+    }
+    return platforms;
+  }
+
+  // Lange Level laufen nach rechts: jede Plattform ein Stück weiter, mal höher, mal tiefer.
+  createTrailPlatforms(count) {
+    const platforms = [];
+    let x = 160 + this.rng.next() * 120;
+    let y = 300;
+    for (let i = 0; i < count; i += 1) {
+      const width = 110 + this.rng.next() * 80;
+      platforms.push({ x, y, width, height: 20, unlocked: i === 0, task: null });
+      x += width + 40 + this.rng.next() * 70;
+      const climb = y > 260 ? -1 : y < 180 ? 1 : this.rng.next() > 0.5 ? -1 : 1;
+      y = clamp(y + climb * (30 + this.rng.next() * 30), 150, 300);
+    }
+    return platforms;
+  }
+
+  createGroundPlatform() {
+    return { ...levelGround, width: this.worldWidth, unlocked: true, task: null };
+  }
+
+  // Level aus dem Editor: Markierungen bleiben an der Plattform, bis sie dran ist.
+  createFromLayout(layout) {
+    this.groundPlatform = this.createGroundPlatform();
+    return layout.platforms.map((entry, index) => {
+      const platform = {
+        x: entry.x,
+        y: entry.y,
+        width: entry.width,
+        height: 20,
+        unlocked: index === 0,
+        task: null,
+        // Feste Aufgaben übernehmen die Stufe, mit der das Level angelegt wurde.
+        grade: entry.grade || (entry.task && layout.grade) || null,
+        fixedTask: entry.task || null,
+      };
+      if (entry.kind) this.setKind(platform, entry.kind);
+      return platform;
+    });
+  }
+
+  getSolidPlatforms() {
+    const unlockedPlatforms = this.platforms
+      .filter((platform) => platform.unlocked)
+      .map((platform) => this.getSolidPart(platform))
+      .filter(Boolean);
+    return this.groundPlatform ? [this.groundPlatform, ...unlockedPlatforms] : unlockedPlatforms;
+  }
+
+  // Von einer Brücke trägt nur, was schon leuchtet.
+  getSolidPart(platform) {
+    if (platform.kind !== "bridge" || platform.lit >= platform.segments) return platform;
+    const count = Math.floor(platform.lit);
+    if (!count) return null;
+    const width = (platform.width / platform.segments) * count;
+    const x = platform.lightFrom === "right" ? platform.x + platform.width - width : platform.x;
+    return { ...platform, x, width };
+  }
+
+  getNextLockedPlatform() {
+    return this.platforms.find((platform) => !platform.unlocked) || null;
+  }
+
+  getSpawnPlatform() {
+    return this.groundPlatform || this.platforms.find((platform) => platform.unlocked);
+  }
+
+  unlockPlatform(platform, fromX = null) {
+    if (!platform) return;
+    platform.unlocked = true;
+    platform.task = null;
+    if (platform.kind === "bridge" && fromX !== null) {
+      platform.lightFrom = fromX > platform.x + platform.width * 0.5 ? "right" : "left";
+    }
+    if (this.events) {
+      this.events.record("platform-unlocked", {
+        platform: this.platforms.indexOf(platform),
+        remaining: this.platforms.filter((entry) => !entry.unlocked).length,
+      });
+    }
+    this.updateBackgroundForProgress();
+  }
+
+  drawBackground(ctx, lightProgress, camera = null) {
+    if (this.activeBackgroundImage) {
+      const cameraX = camera ? camera.x : 0;
+      this.drawParallaxLayer(ctx, this.activeBackgroundImage, cameraX * 0.25, 0);
+      this.drawParallaxLayer(ctx, this.activeBackgroundImage, cameraX * 0.6, 0.55);
+      ctx.save();
+      ctx.globalAlpha = 0.02;
+      this.drawGradientOverlay(ctx, lightProgress);
+      ctx.restore();
+      return;
+    }
+    this.drawGradientOverlay(ctx, lightProgress);
+  }
+
+  // Zwei Ebenen aus demselben Waldbild: hinten das ganze Bild, vorn nur der untere
+  // Streifen, der schneller vorbeizieht. Jede zweite Kachel ist gespiegelt, so fallen
+  // die Nahtstellen nicht auf.
+  drawParallaxLayer(ctx, image, offset, top) {
+    const { width, height } = ctx.canvas;
+    const sourceY = image.height * top;
+    const first = Math.floor(offset / width);
+    for (let tile = first; tile <= first + 1; tile += 1) {
+      ctx.save();
+      ctx.translate(tile * width - offset, 0);
+      if (tile % 2 !== 0) {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+      }
+      ctx.drawImage(
+        image,
+        0,
+        sourceY,
+        image.width,
+        image.height - sourceY,
+        0,
+        height * top,
+        width,
+        height * (1 - top)
+      );
+      ctx.restore();
+    }
+  }
+
+  drawGradientOverlay(ctx, lightProgress) {
+    const colors = this.world.colors || {
+      top: this.palette.nightBg,
+      middle: this.palette.nightBg2,
+      bottom: this.palette.nightPrimary,
+    };
+    const topColor = mixColors(colors.top, this.palette.cream, lightProgress);
+    const midColor = mixColors(colors.middle, this.palette.textSoft, lightProgress * 0.8);
+    const botColor = mixColors(colors.bottom, this.palette.textSoft, lightProgress * 0.6);
+    const gradient = ctx.createLinearGradient(0, 0, 0, ctx.canvas.height);
+    gradient.addColorStop(0, topColor);
+    gradient.addColorStop(0.5, midColor);
+    gradient.addColorStop(1, botColor);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  }
+
+  drawVignette(ctx, darkness) {
+    const radius = ctx.canvas.width * 0.7;
+    const centerX = ctx.canvas.width / 2;
+    const centerY = ctx.canvas.height / 2;
+    const gradient = ctx.createRadialGradient(
+      centerX,
+      centerY,
+      radius * 0.2,
+      centerX,
+      centerY,
+      radius
+    );
+    const vignetteStrength = darkness * 0.3;
+    gradient.addColorStop(0, `rgba(31,42,56,${0.03 * vignetteStrength})`);
+    gradient.addColorStop(1, `rgba(12,16,22,${0.2 * vignetteStrength})`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  }
+
+  drawPlatforms(ctx, camera = null) {
+    const moonColor = `rgba(${this.world.platform.color}, 0.9)`;
+    const moonColorMuted = `rgba(${this.world.platform.color}, 0.35)`;
+    this.platforms.forEach((platform) => {
+      if (camera && !camera.isVisible(platform.x, platform.width, 20)) return;
+      if (platform.kind === "bridge") {
+        this.drawBridge(ctx, platform);
+        return;
+      }
+      ctx.fillStyle = platform.unlocked ? moonColor : moonColorMuted;
+      ctx.fillRect(platform.x, platform.y, platform.width, platform.height);
+    });
+  }
+
+  // Brückenteile leuchten nach dem Freischalten eins nach dem anderen auf.
+  drawBridge(ctx, platform) {
+    const gap = 4;
+    const segmentWidth = platform.width / platform.segments;
+    for (let i = 0; i < platform.segments; i += 1) {
+      const order = platform.lightFrom === "right" ? platform.segments - 1 - i : i;
+      const glow = platform.unlocked ? clamp(platform.lit - order, 0, 1) : 0;
+      ctx.fillStyle = `rgba(${this.world.platform.color}, ${0.35 + 0.55 * glow})`;
+      ctx.fillRect(
+        platform.x + i * segmentWidth + gap / 2,
+        platform.y,
+        segmentWidth - gap,
+        platform.height
+      );
+    }
+  }
+}
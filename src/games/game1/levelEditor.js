@@ -0,0 +1,219 @@
+import { clamp } from "./util.js";
+import { gradeLabels, levelGround } from "./constants.js";
+import { LevelValidator } from "./levelValidator.js";
+
+// -----------------------------
+// LevelEditor: Plattformen setzen, verschieben, markieren
+// -----------------------------
+export class LevelEditor {
+  constructor(canvas, store, palette) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.store = store;
+    this.palette = palette;
+    this.validator = new LevelValidator();
+    this.level = this.createEmpty();
+    this.selected = -1;
+    this.drag = null;
+    this.unreachable = [];
+    this.onChange = null;
+    this.handleSize = 12;
+    this.background = new Image();
+    this.background.onload = () => this.draw();
+    this.background.src = "../assets/forest-night.png";
+    this.bindPointer();
+    this.bindKeys();
+  }
+
+  createEmpty() {
+    return { id: null, name: "Neues Level", grade: null, platforms: [] };
+  }
+
+  load(level) {
+    this.level = JSON.parse(JSON.stringify(level));
+    this.selected = -1;
+    this.changed();
+  }
+
+  getSelected() {
+    return this.level.platforms[this.selected] || null;
+  }
+
+  toPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * this.canvas.width,
+      y: ((event.clientY - rect.top) / rect.height) * this.canvas.height,
+    };
+  }
+
+  // Von oben nach unten suchen, damit die zuletzt gezeichnete Plattform gewinnt.
+  hitTest(point) {
+    for (let i = this.level.platforms.length - 1; i >= 0; i -= 1) {
+      const platform = this.level.platforms[i];
+      const insideX = point.x >= platform.x - 4 && point.x <= platform.x + platform.width + 4;
+      const insideY = point.y >= platform.y - 8 && point.y <= platform.y + 28;
+      if (insideX && insideY) {
+        const edge = point.x >= platform.x + platform.width - this.handleSize;
+        return { index: i, edge };
+      }
+    }
+    return null;
+  }
+
+  bindPointer() {
+    this.canvas.addEventListener("pointerdown", (event) => {
+      const point = this.toPoint(event);
+      const hit = this.hitTest(point);
+      if (hit) {
+        this.selected = hit.index;
+      } else if (this.level.platforms.length < this.store.maxPlatforms) {
+        this.addPlatform(point.x - 70, point.y - 10);
+      } else {
+        this.selected = -1;
+      }
+      const platform = this.getSelected();
+      if (platform) {
+        this.drag = {
+          mode: hit && hit.edge ? "resize" : "move",
+          offsetX: point.x - platform.x,
+          offsetY: point.y - platform.y,
+        };
+        this.canvas.setPointerCapture(event.pointerId);
+      }
+      this.changed();
+    });
+    this.canvas.addEventListener("pointermove", (event) => {
+      const platform = this.getSelected();
+      if (!this.drag || !platform) return;
+      const point = this.toPoint(event);
+      if (this.drag.mode === "resize") {
+        platform.width = point.x - platform.x;
+      } else {
+        platform.x = point.x - this.drag.offsetX;
+        platform.y = point.y - this.drag.offsetY;
+      }
+      this.clampPlatform(platform);
+      this.changed();
+    });
+    const endDrag = () => {
+      this.drag = null;
+    };
+    this.canvas.addEventListener("pointerup", endDrag);
+    this.canvas.addEventListener("pointercancel", endDrag);
+  }
+
+  // Pfeiltasten verschieben die gewählte Plattform (mit Umschalt fein), Entf löscht sie.
+  bindKeys() {
+    this.canvas.addEventListener("keydown", (event) => {
+      const platform = this.getSelected();
+      if (!platform) return;
+      const step = event.shiftKey ? 1 : 10;
+      const moves = {
+        ArrowLeft: [-step, 0],
+        ArrowRight: [step, 0],
+        ArrowUp: [0, -step],
+        ArrowDown: [0, step],
+      };
+      if (moves[event.key]) {
+        event.preventDefault();
+        platform.x += moves[event.key][0];
+        platform.y += moves[event.key][1];
+        this.clampPlatform(platform);
+        this.changed();
+      } else if (event.key === "Delete" || event.key === "Backspace") {
+        event.preventDefault();
+        this.removeSelected();
+      }
+    });
+  }
+
+  clampPlatform(platform) {
+    const { minY, maxY, minWidth, maxWidth, worldWidth } = this.store.bounds;
+    platform.width = Math.round(clamp(platform.width, minWidth, maxWidth));
+    platform.x = Math.round(clamp(platform.x, 0, worldWidth - platform.width));
+    platform.y = Math.round(clamp(platform.y, minY, maxY));
+  }
+
+  addPlatform(x, y) {
+    const platform = { x, y, width: 140 };
+    this.clampPlatform(platform);
+    this.level.platforms.push(platform);
+    this.selected = this.level.platforms.length - 1;
+  }
+
+  removeSelected() {
+    if (!this.getSelected()) return;
+    this.level.platforms.splice(this.selected, 1);
+    this.selected = -1;
+    this.changed();
+  }
+
+  // Die Reihenfolge bestimmt, welche Plattform als nächste freigeschaltet wird.
+  moveSelected(offset) {
+    const target = this.selected + offset;
+    if (!this.getSelected() || target < 0 || target >= this.level.platforms.length) return;
+    const [platform] = this.level.platforms.splice(this.selected, 1);
+    this.level.platforms.splice(target, 0, platform);
+    this.selected = target;
+    this.changed();
+  }
+
+  setKind(kind) {
+    const platform = this.getSelected();
+    if (!platform) return;
+    if (kind && kind !== "static") platform.kind = kind;
+    else delete platform.kind;
+    this.changed();
+  }
+
+  setTag(tag) {
+    const platform = this.getSelected();
+    if (!platform) return;
+    delete platform.grade;
+    delete platform.task;
+    if (tag.grade) platform.grade = tag.grade;
+    if (tag.task) platform.task = tag.task;
+    this.changed();
+  }
+
+  changed() {
+    this.unreachable = this.validator.validate(this.level.platforms, levelGround).unreachable;
+    this.draw();
+    if (this.onChange) this.onChange();
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (this.background.complete && this.background.naturalWidth) {
+      ctx.drawImage(this.background, 0, 0, width, height);
+    } else {
+      ctx.fillStyle = this.palette.nightBg || "#1f2a38";
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.fillStyle = "rgba(127, 166, 199, 0.35)";
+    ctx.fillRect(levelGround.x, levelGround.y, levelGround.width, levelGround.height);
+    ctx.font = '14px "Fable", system-ui, "Segoe UI", Arial, sans-serif';
+    ctx.textBaseline = "bottom";
+    this.level.platforms.forEach((platform, index) => {
+      const blocked = this.unreachable.includes(index);
+      ctx.fillStyle = blocked ? "rgba(232, 154, 154, 0.9)" : "rgba(244, 214, 140, 0.9)";
+      ctx.fillRect(platform.x, platform.y, platform.width, 20);
+      if (index === this.selected) {
+        ctx.strokeStyle = this.palette.textSoft || "#f2f4f1";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(platform.x - 2, platform.y - 2, platform.width + 4, 24);
+        ctx.fillStyle = this.palette.textSoft || "#f2f4f1";
+        ctx.fillRect(platform.x + platform.width - 6, platform.y + 2, 4, 16);
+      }
+      const kindMarks = { move: " ↔", bob: " ↕", bridge: " ✦" };
+      let label = `${index + 1}${kindMarks[platform.kind] || ""}`;
+      if (platform.task) label += ` · ${platform.task.prompt}`;
+      else if (platform.grade) label += ` · ${gradeLabels[platform.grade]}`;
+      ctx.fillStyle = this.palette.textSoft || "#f2f4f1";
+      ctx.fillText(label, platform.x + 4, platform.y - 4);
+    });
+  }
+}
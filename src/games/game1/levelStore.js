@@ -0,0 +1,174 @@
+import { gradeLabels, platformKindLabels } from "./constants.js";
+
+// -----------------------------
+// LevelStore: eigene Level aus dem Editor
+// -----------------------------
+export class LevelStore {
+  constructor() {
+    this.storageKey = "lumoland-levels";
+    this.format = "lumoland-level";
+    this.version = 1;
+    this.maxPlatforms = 12;
+    this.bounds = { minY: 60, maxY: 320, minWidth: 60, maxWidth: 320, worldWidth: 960 };
+    this.state = { activeId: null, levels: [] };
+    this.load();
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      if (raw) this.state = { ...this.state, ...JSON.parse(raw) };
+    } catch (error) {
+      console.warn("Levels load failed", error);
+    }
+  }
+
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+  }
+
+  createId() {
+    return `l${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+  }
+
+  list() {
+    return this.state.levels;
+  }
+
+  get(id) {
+    return this.state.levels.find((level) => level.id === id) || null;
+  }
+
+  getActive() {
+    return this.get(this.state.activeId);
+  }
+
+  setActive(id) {
+    this.state.activeId = this.get(id) ? id : null;
+    this.save();
+  }
+
+  upsert(level) {
+    const entry = {
+      id: level.id || this.createId(),
+      name: String(level.name || "").trim().slice(0, 40) || "Neues Level",
+      grade: gradeLabels[level.grade] ? level.grade : null,
+      platforms: level.platforms.map((platform) => this.normalizePlatform(platform)),
+    };
+    const index = this.state.levels.findIndex((item) => item.id === entry.id);
+    if (index >= 0) this.state.levels.splice(index, 1, entry);
+    else this.state.levels.push(entry);
+    this.save();
+    return entry;
+  }
+
+  remove(id) {
+    this.state.levels = this.state.levels.filter((level) => level.id !== id);
+    if (this.state.activeId === id) this.state.activeId = null;
+    this.save();
+  }
+
+  // Nur bekannte Felder übernehmen; eine Plattform trägt höchstens eine Markierung.
+  normalizePlatform(platform) {
+    const entry = {
+      x: Math.round(platform.x),
+      y: Math.round(platform.y),
+      width: Math.round(platform.width),
+    };
+    if (platform.kind && platform.kind !== "static") entry.kind = platform.kind;
+    if (platform.task) {
+      entry.task = { prompt: String(platform.task.prompt).trim(), answer: platform.task.answer };
+    } else if (platform.grade) {
+      entry.grade = platform.grade;
+    }
+    return entry;
+  }
+
+  toFile(level) {
+    return {
+      format: this.format,
+      version: this.version,
+      name: level.name,
+      grade: level.grade || null,
+      platforms: level.platforms.map((platform) => this.normalizePlatform(platform)),
+    };
+  }
+
+  validatePlatforms(platforms) {
+    const errors = [];
+    if (!Array.isArray(platforms) || !platforms.length) {
+      return ["Das Level enthält keine Plattformen."];
+    }
+    if (platforms.length > this.maxPlatforms) {
+      errors.push(`Höchstens ${this.maxPlatforms} Plattformen sind erlaubt.`);
+    }
+    const { minY, maxY, minWidth, maxWidth, worldWidth } = this.bounds;
+    const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+    platforms.forEach((platform, index) => {
+      const label = `Plattform ${index + 1}`;
+      if (!platform || ![platform.x, platform.y, platform.width].every(isNumber)) {
+        errors.push(`${label}: Position oder Breite fehlt.`);
+        return;
+      }
+      if (platform.width < minWidth || platform.width > maxWidth) {
+        errors.push(`${label}: Die Breite muss zwischen ${minWidth} und ${maxWidth} liegen.`);
+      }
+      if (platform.x < 0 || platform.x + platform.width > worldWidth) {
+        errors.push(`${label}: Sie ragt aus dem Bild.`);
+      }
+      if (platform.y < minY || platform.y > maxY) {
+        errors.push(`${label}: Die Höhe muss zwischen ${minY} und ${maxY} liegen.`);
+      }
+      if (platform.kind && !platformKindLabels[platform.kind]) {
+        errors.push(`${label}: Die Plattformart ist unbekannt.`);
+      }
+      if (platform.grade && !gradeLabels[platform.grade]) {
+        errors.push(`${label}: Die Rechenstufe ist unbekannt.`);
+      }
+      if (platform.task) {
+        if (typeof platform.task.prompt !== "string" || !platform.task.prompt.trim()) {
+          errors.push(`${label}: Der Aufgabentext fehlt.`);
+        }
+        if (!Number.isInteger(platform.task.answer)) {
+          errors.push(`${label}: Die Lösung muss eine ganze Zahl sein.`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  validate(data) {
+    if (!data || typeof data !== "object") {
+      return ["Die Datei enthält keine Lumoland-Daten."];
+    }
+    const errors = [];
+    if (data.format !== this.format) {
+      errors.push("Das ist keine Lumoland-Leveldatei.");
+    }
+    if (typeof data.version !== "number") {
+      errors.push("Die Versionsangabe fehlt.");
+    } else if (data.version > this.version) {
+      errors.push("Die Datei stammt aus einer neueren Lumoland-Version.");
+    }
+    if (data.grade && !gradeLabels[data.grade]) {
+      errors.push("Die Rechenstufe des Levels ist unbekannt.");
+    }
+    return [...errors, ...this.validatePlatforms(data.platforms)];
+  }
+
+  import(text) {
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return {
+        ok: false,
+        errors: ["Die Datei konnte nicht gelesen werden (kein gültiges JSON)."],
+      };
+    }
+    const errors = this.validate(data);
+    if (errors.length) return { ok: false, errors };
+    const level = this.upsert({ name: data.name, grade: data.grade, platforms: data.platforms });
+    return { ok: true, errors: [], level };
+  }
+}
@@ -0,0 +1,73 @@
+import { lumiPhysics, platformMotion } from "./constants.js";
+
+// -----------------------------
+// LevelValidator: Erreichbarkeit per Sprungbogen
+// -----------------------------
+export class LevelValidator {
+  constructor(physics = lumiPhysics, worldWidth = 960) {
+    this.physics = physics;
+    this.step = 1 / 60;
+    this.minX = 20;
+    this.maxX = worldWidth - 60;
+  }
+
+  // Bewegte Plattformen an beiden Enden und in der Mitte ihrer Bahn prüfen –
+  // Lumi kann warten, bis die Plattform günstig steht.
+  getPositions(platform) {
+    if (platform.kind !== "move" && platform.kind !== "bob") return [platform];
+    const range = platform.range || platformMotion[platform.kind].range;
+    const originX = platform.originX ?? platform.x;
+    const originY = platform.originY ?? platform.y;
+    return [-1, 0, 1].map((side) => ({
+      ...platform,
+      x: platform.kind === "move" ? originX + side * range : originX,
+      y: platform.kind === "bob" ? originY + side * range : originY,
+    }));
+  }
+
+  canReach(from, to) {
+    const targets = this.getPositions(to);
+    return this.getPositions(from).some((start) =>
+      targets.some((target) => this.canJump(start, target))
+    );
+  }
+
+  // Lumi springt irgendwo auf "from" ab und darf in der Luft beliebig lenken.
+  // Gelandet wird wie in PlayerLumi.update: fallend und knapp unter der Oberkante.
+  canJump(from, to) {
+    const { speed, jumpStrength, gravity, width } = this.physics;
+    const standLeft = Math.max(from.x - width + 1, this.minX);
+    const standRight = Math.min(from.x + from.width - 1, this.maxX);
+    if (standLeft > standRight) return false;
+    const landLeft = to.x - width + 1;
+    const landRight = to.x + to.width - 1;
+    const landBottom = to.y + (to.height || 20) + 8;
+    let bottom = from.y;
+    let vy = -jumpStrength;
+    let time = 0;
+    while (bottom < landBottom || vy < 0) {
+      vy += gravity * this.step;
+      bottom += vy * this.step;
+      time += this.step;
+      const reach = speed * time;
+      const left = Math.max(standLeft - reach, this.minX);
+      const right = Math.min(standRight + reach, this.maxX);
+      const landing = vy >= 0 && bottom > to.y && bottom < landBottom;
+      if (landing && right >= landLeft && left <= landRight) return true;
+    }
+    return false;
+  }
+
+  // Plattformen werden der Reihe nach freigeschaltet: Jede muss vom Boden oder
+  // einer früheren Plattform aus erreichbar sein. Eine unerreichbare Plattform
+  // zählt danach trotzdem als begehbar, damit jede Lücke einzeln gemeldet wird.
+  validate(platforms, ground) {
+    const reachable = [ground];
+    const unreachable = [];
+    platforms.forEach((platform, index) => {
+      if (!reachable.some((from) => this.canReach(from, platform))) unreachable.push(index);
+      reachable.push(platform);
+    });
+    return { ok: unreachable.length === 0, unreachable };
+  }
+}
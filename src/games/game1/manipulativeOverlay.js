@@ -0,0 +1,212 @@
+import { clamp } from "./util.js";
+
+// -----------------------------
+// ManipulativeOverlay: Zahlenstrahl, Punktefeld & Gruppen
+// -----------------------------
+export class ManipulativeOverlay {
+  // reducedMotion kommt vom Spiel, damit Wiedergaben wie die Aufnahme animieren.
+  constructor(palette, reducedMotion) {
+    this.palette = palette;
+    this.reducedMotion = reducedMotion;
+    this.visual = null;
+    // Unterhalb des Waldbodens, dort läuft Lumi nie.
+    this.area = { x: 120, y: 384, width: 720, height: 140 };
+    this.elapsed = 0;
+    this.animate = false;
+    this.stepDuration = 0.6;
+  }
+
+  show(visual, animate = false) {
+    this.visual = visual || null;
+    this.elapsed = 0;
+    this.animate = animate && !this.reducedMotion;
+  }
+
+  clear() {
+    this.visual = null;
+  }
+
+  update(dt) {
+    if (this.visual) this.elapsed += dt;
+  }
+
+  // Fortschritt 0..1 über eine Animation mit `steps` gleich langen Schritten.
+  getProgress(steps) {
+    if (!this.animate) return 1;
+    return clamp(this.elapsed / (this.stepDuration * Math.max(1, steps)), 0, 1);
+  }
+
+  draw(ctx) {
+    if (!this.visual) return;
+    const { x, y, width, height } = this.area;
+    ctx.save();
+    ctx.fillStyle = "rgba(31, 42, 56, 0.85)";
+    ctx.strokeStyle = "rgba(243,210,122,0.6)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, 16);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = "#FFF6EC";
+    ctx.strokeStyle = "#FFF6EC";
+    ctx.font = '14px "Fable", system-ui, "Segoe UI", Arial, sans-serif';
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    if (this.visual.kind === "numberline") this.drawNumberLine(ctx, this.visual);
+    if (this.visual.kind === "dots") this.drawDots(ctx, this.visual);
+    if (this.visual.kind === "groups") this.drawGroups(ctx, this.visual);
+    if (this.visual.kind === "place") this.drawPlaceTable(ctx, this.visual);
+    ctx.restore();
+  }
+
+  drawNumberLine(ctx, visual) {
+    const points = [visual.start, ...visual.hops.map((hop) => hop.to)];
+    const low = Math.min(...points);
+    const high = Math.max(...points);
+    const step = high - low > 20 ? 10 : 1;
+    let min = Math.floor(low / step) * step - step;
+    const max = Math.ceil(high / step) * step + step;
+    if (low >= 0) min = Math.max(0, min);
+    const left = this.area.x + 30;
+    const right = this.area.x + this.area.width - 30;
+    const lineY = this.area.y + this.area.height - 44;
+    const toX = (value) => left + ((value - min) / (max - min || 1)) * (right - left);
+
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(left, lineY);
+    ctx.lineTo(right, lineY);
+    ctx.stroke();
+    for (let value = min; value <= max; value += step) {
+      const tickX = toX(value);
+      const major = step === 10 || value % 5 === 0;
+      ctx.beginPath();
+      ctx.moveTo(tickX, lineY - (major ? 8 : 5));
+      ctx.lineTo(tickX, lineY + (major ? 8 : 5));
+      ctx.stroke();
+      ctx.fillText(String(value), tickX, lineY + 12);
+    }
+
+    // Jeder Sprung wird nacheinander als Bogen gezeichnet, ein Punkt hüpft mit.
+    ctx.strokeStyle = this.palette.accentWarm || "#f3d27a";
+    ctx.fillStyle = this.palette.accentWarm || "#f3d27a";
+    const progress = this.getProgress(visual.hops.length) * visual.hops.length;
+    let headX = toX(visual.start);
+    let headY = lineY;
+    visual.hops.forEach((hop, index) => {
+      const hopProgress = clamp(progress - index, 0, 1);
+      if (hopProgress <= 0) return;
+      const fromX = toX(hop.from);
+      const toXPos = toX(hop.to);
+      const midX = (fromX + toXPos) / 2;
+      const lift = Math.min(60, 18 + Math.abs(toXPos - fromX) * 0.3);
+      const pointAt = (t) => ({
+        x: (1 - t) * (1 - t) * fromX + 2 * (1 - t) * t * midX + t * t * toXPos,
+        y: (1 - t) * (1 - t) * lineY + 2 * (1 - t) * t * (lineY - lift * 2) + t * t * lineY,
+      });
+      ctx.beginPath();
+      ctx.moveTo(fromX, lineY);
+      const segments = 24;
+      for (let i = 1; i <= Math.ceil(segments * hopProgress); i += 1) {
+        const point = pointAt(Math.min(i / segments, hopProgress));
+        ctx.lineTo(point.x, point.y);
+      }
+      ctx.stroke();
+      const head = pointAt(hopProgress);
+      headX = head.x;
+      headY = head.y;
+      if (hopProgress < 1) return;
+      const size = hop.to - hop.from;
+      const label = hop.label || (size >= 0 ? `+${size}` : `−${Math.abs(size)}`);
+      ctx.fillText(label, midX, lineY - lift - 18);
+    });
+    ctx.beginPath();
+    ctx.arc(toX(visual.start), lineY, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(headX, headY, 6, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  drawDots(ctx, visual) {
+    const total = visual.total || visual.rows * visual.cols;
+    const gap = Math.min(
+      22,
+      (this.area.width - 40) / Math.max(1, visual.cols),
+      (this.area.height - 24) / Math.max(1, visual.rows)
+    );
+    const startX = this.area.x + this.area.width / 2 - ((visual.cols - 1) * gap) / 2;
+    const startY = this.area.y + this.area.height / 2 - ((visual.rows - 1) * gap) / 2;
+    // Reihe für Reihe einblenden.
+    const visibleRows = Math.ceil(this.getProgress(visual.rows) * visual.rows);
+    const visible = Math.min(total, visibleRows * visual.cols);
+    ctx.fillStyle = this.palette.accentWarm || "#f3d27a";
+    for (let index = 0; index < visible; index += 1) {
+      const row = Math.floor(index / visual.cols);
+      const col = index % visual.cols;
+      ctx.beginPath();
+      ctx.arc(startX + col * gap, startY + row * gap, gap * 0.32, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  drawGroups(ctx, visual) {
+    const groups = Math.ceil(visual.total / visual.groupSize);
+    const slot = (this.area.width - 20) / Math.max(1, groups);
+    const radius = Math.min(slot * 0.45, this.area.height * 0.4);
+    const centerY = this.area.y + this.area.height / 2;
+    // Gruppe für Gruppe füllen, wie beim gerechten Verteilen.
+    const visibleGroups = Math.ceil(this.getProgress(groups) * groups);
+    for (let group = 0; group < visibleGroups; group += 1) {
+      const centerX = this.area.x + 10 + slot * (group + 0.5);
+      const members = Math.min(visual.groupSize, visual.total - group * visual.groupSize);
+      ctx.strokeStyle = "rgba(127, 166, 199, 0.8)";
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.fillStyle = this.palette.accentWarm || "#f3d27a";
+      for (let i = 0; i < members; i += 1) {
+        const angle = (i / members) * Math.PI * 2;
+        const spread = members > 1 ? radius * 0.55 : 0;
+        ctx.beginPath();
+        ctx.arc(
+          centerX + Math.cos(angle) * spread,
+          centerY + Math.sin(angle) * spread,
+          Math.max(2, radius * 0.16),
+          0,
+          Math.PI * 2
+        );
+        ctx.fill();
+      }
+    }
+  }
+
+  drawPlaceTable(ctx, visual) {
+    const headers = ["H", "Z", "E"];
+    const cellWidth = 70;
+    const rowHeight = 30;
+    const left = this.area.x + this.area.width / 2 - (cellWidth * 3) / 2;
+    const top = this.area.y + 16;
+    ctx.font = '18px "Fable", system-ui, "Segoe UI", Arial, sans-serif';
+    ctx.fillStyle = this.palette.accentWarm || "#f3d27a";
+    headers.forEach((header, index) => {
+      ctx.fillText(header, left + cellWidth * (index + 0.5), top);
+    });
+    ctx.fillStyle = "#FFF6EC";
+    ctx.globalAlpha = this.getProgress(1);
+    visual.numbers.forEach((number, row) => {
+      const digits = String(number).padStart(3, "0").split("");
+      digits.forEach((digit, index) => {
+        ctx.fillText(digit, left + cellWidth * (index + 0.5), top + rowHeight * (row + 1));
+      });
+    });
+    ctx.strokeStyle = "rgba(127, 166, 199, 0.8)";
+    [1, 2].forEach((index) => {
+      ctx.beginPath();
+      ctx.moveTo(left + cellWidth * index, top);
+      ctx.lineTo(left + cellWidth * index, top + rowHeight * (visual.numbers.length + 1));
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+  }
+}
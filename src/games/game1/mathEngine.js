@@ -0,0 +1,717 @@
+import { clamp, lerp } from "./util.js";
+import { Rng } from "./rng.js";
+import { ReviewQueue } from "./reviewQueue.js";
+
+// -----------------------------
+// MathEngine: Aufgabenlogik
+// -----------------------------
+export class MathEngine {
+  constructor(settings, rng = new Rng()) {
+    this.settings = settings;
+    this.rng = rng;
+    this.review = new ReviewQueue(settings);
+    this.wordProblems = {};
+    this.wordProblemRatio = 0.3;
+    this.gapGrades = ["addsub-10", "addsub-100", "mult-10", "div-100", "under-zero"];
+    this.defaultGapRatio = 0.2;
+  }
+
+  // Sachaufgaben liegen als Datendatei pro Stufe vor, damit Lehrkräfte eigene ergänzen können.
+  loadWordProblems(grade, basePath = "data/sachaufgaben") {
+    if (grade in this.wordProblems) return Promise.resolve(this.wordProblems[grade]);
+    this.wordProblems[grade] = null;
+    return fetch(`${basePath}/${grade}.json`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        this.wordProblems[grade] = this.validateWordProblems(data);
+        return this.wordProblems[grade];
+      })
+      .catch((error) => {
+        console.warn("Word problems load failed", error);
+        return null;
+      });
+  }
+
+  validateWordProblems(data) {
+    if (!data || !Array.isArray(data.templates)) return null;
+    const isRange = (range) =>
+      Array.isArray(range) &&
+      range.length === 2 &&
+      range.every(Number.isInteger) &&
+      range[0] <= range[1];
+    const templates = data.templates.filter(
+      (template) =>
+        template &&
+        typeof template.text === "string" &&
+        ["+", "-", "×", "÷"].includes(template.op) &&
+        isRange(template.a) &&
+        isRange(template.b) &&
+        (template.op !== "÷" || template.b[0] > 0)
+    );
+    if (!templates.length) return null;
+    return {
+      names: Array.isArray(data.names) && data.names.length ? data.names : ["Lumi"],
+      objects: Array.isArray(data.objects) && data.objects.length ? data.objects : ["Dinge"],
+      templates,
+    };
+  }
+
+  createTask(grade = this.settings.get("grade")) {
+    this.review.tick();
+    const reviewTask = this.review.takeDue(grade);
+    if (reviewTask) return reviewTask;
+    if (this.settings.get("difficulty") === "adaptive") return this.createAdaptive(grade);
+    return this.createForGrade(grade);
+  }
+
+  // Die Stufe reist mit der Aufgabe, damit Statistik & Wiederholung sie richtig einsortieren.
+  createForGrade(grade, scale = 1) {
+    return { ...this.buildForGrade(grade, scale), grade };
+  }
+
+  buildForGrade(grade, scale) {
+    const words = this.wordProblems[grade];
+    if (words && this.settings.get("wordProblems") && this.rng.next() < this.wordProblemRatio) {
+      const wordTask = this.createWordProblem(words);
+      if (wordTask) return wordTask;
+    }
+    // scale < 1 verkleinert den Zahlenraum (adaptiver Modus), nie unter die Hälfte.
+    const range = (max) => Math.max(2, Math.round(max * clamp(scale, 0.5, 1)));
+    if (grade === "count-10") return this.createCounting(range(10));
+    if (grade === "addsub-10") return this.maybeGap(grade, this.createAddSub(range(10)));
+    if (grade === "addsub-100") return this.maybeGap(grade, this.createAddSub(range(100)));
+    if (grade === "mult-10") return this.maybeGap(grade, this.createMultiplication(range(10)));
+    if (grade === "div-100") return this.maybeGap(grade, this.createDivision(range(100)));
+    if (grade === "under-zero") return this.maybeGap(grade, this.createUnderZero(range(20)));
+    if (grade === "place-1000") return this.createPlaceValue(range(1000));
+    return this.createCounting(range(10));
+  }
+
+  // Adaptiv: mehrere Kandidaten erzeugen und schwache Aufgaben bevorzugen.
+  createAdaptive(grade) {
+    const stats = this.settings.get("factStats") || {};
+    const scale = this.getRangeScale(grade, stats);
+    const candidates = [];
+    for (let i = 0; i < 8; i += 1) {
+      candidates.push(this.createForGrade(grade, scale));
+    }
+    const weights = candidates.map((task) => this.getFactWeight(stats[task.key]));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let pick = this.rng.next() * total;
+    for (let i = 0; i < candidates.length; i += 1) {
+      pick -= weights[i];
+      if (pick <= 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  getFactWeight(entry) {
+    if (!entry || !entry.attempts) return 1;
+    const accuracy = entry.correct / entry.attempts;
+    const slowness = clamp((entry.avgMs - 3000) / 9000, 0, 1);
+    return 0.3 + (1 - accuracy) * 3 + slowness;
+  }
+
+  isStrongFact(entry) {
+    if (!entry || entry.attempts < 2) return false;
+    return entry.correct / entry.attempts >= 0.8 && entry.avgMs < 5000;
+  }
+
+  // Der Zahlenraum wächst langsam mit der Zahl sicher gelöster Aufgaben.
+  getRangeScale(grade, stats) {
+    const strongCount = Object.values(stats).filter(
+      (entry) => entry.grade === grade && this.isStrongFact(entry)
+    ).length;
+    return lerp(0.5, 1, strongCount / (strongCount + 10));
+  }
+
+  recordAnswer(task, correct, responseMs) {
+    if (!task || !task.key) return;
+    const grade = task.grade || this.settings.get("grade");
+    this.review.record(task, correct, grade);
+    if (!correct) task.missed = true;
+    const stats = { ...(this.settings.get("factStats") || {}) };
+    const entry = stats[task.key] || {
+      grade,
+      attempts: 0,
+      correct: 0,
+      avgMs: 0,
+    };
+    const attempts = entry.attempts + 1;
+    const elapsed = clamp(responseMs || 0, 0, 60000);
+    stats[task.key] = {
+      ...entry,
+      attempts,
+      correct: entry.correct + (correct ? 1 : 0),
+      avgMs: Math.round(entry.avgMs + (elapsed - entry.avgMs) / attempts),
+      lastSeen: this.review.timeSource(),
+    };
+    const keys = Object.keys(stats);
+    if (keys.length > 300) {
+      keys
+        .sort((a, b) => (stats[a].lastSeen || 0) - (stats[b].lastSeen || 0))
+        .slice(0, keys.length - 300)
+        .forEach((key) => delete stats[key]);
+    }
+    this.settings.set("factStats", stats);
+  }
+
+  createCounting(max) {
+    const count = Math.floor(this.rng.next() * max) + 1;
+    return {
+      type: "count",
+      key: `count:${count}`,
+      count,
+      prompt: "Wie viele Glühwürmchen leuchten?",
+      answer: count,
+      speech: "Zähle die Glühwürmchen. Wie viele sind es?",
+    };
+  }
+
+  createAddSub(max) {
+    const useAdd = this.rng.next() > 0.4;
+    const randInt = (min, maxValue) =>
+      Math.floor(this.rng.next() * (maxValue - min + 1)) + min;
+    let a = 1;
+    let b = 1;
+    if (useAdd) {
+      a = randInt(1, Math.max(1, max - 1));
+      b = randInt(1, Math.max(1, max - a));
+    } else {
+      a = randInt(1, max);
+      b = randInt(1, a);
+    }
+    const op = useAdd ? "+" : "-";
+    const answer = useAdd ? a + b : a - b;
+    const speech = `${a} ${useAdd ? "plus" : "minus"} ${b}`;
+    return {
+      key: `${a}${op}${b}`,
+      prompt: `${a} ${op} ${b}`,
+      answer,
+      speech,
+      op,
+      operands: [a, b],
+    };
+  }
+
+  createMultiplication(max) {
+    const a = Math.floor(this.rng.next() * max) + 1;
+    const b = Math.floor(this.rng.next() * max) + 1;
+    return {
+      key: `${a}×${b}`,
+      prompt: `${a} × ${b}`,
+      answer: a * b,
+      speech: `${a} mal ${b}`,
+      op: "×",
+      operands: [a, b],
+    };
+  }
+
+  createDivision(max) {
+    // Teiler und Ergebnis so wählen, dass die Aufgabe aufgeht und im Zahlenraum bleibt.
+    const factorMax = Math.max(2, Math.floor(Math.sqrt(max)));
+    const divisor = Math.floor(this.rng.next() * (factorMax - 1)) + 2;
+    const quotient = Math.floor(this.rng.next() * (factorMax - 1)) + 2;
+    const dividend = divisor * quotient;
+    return {
+      key: `${dividend}÷${divisor}`,
+      prompt: `${dividend} ÷ ${divisor}`,
+      answer: quotient,
+      speech: `${dividend} geteilt durch ${divisor}`,
+      op: "÷",
+      operands: [dividend, divisor],
+    };
+  }
+
+  createUnderZero(limit) {
+    const useAdd = this.rng.next() > 0.5;
+    let a = Math.floor(this.rng.next() * (limit * 2 + 1)) - limit;
+    let b = Math.floor(this.rng.next() * (limit * 2 + 1)) - limit;
+    if (!useAdd) {
+      b = Math.abs(b);
+    }
+    const op = useAdd ? "+" : "-";
+    const answer = useAdd ? a + b : a - b;
+    if (answer > limit || answer < -limit) {
+      return this.createUnderZero(limit);
+    }
+    return {
+      key: `${a}${op}${b}`,
+      prompt: `${a} ${op} ${b}`,
+      answer,
+      speech: `${a} ${useAdd ? "plus" : "minus"} ${b}`,
+      op,
+      operands: [a, b],
+    };
+  }
+
+  getGapRatio(grade) {
+    const ratios = this.settings.get("gapRatios") || {};
+    return grade in ratios ? ratios[grade] : this.defaultGapRatio;
+  }
+
+  maybeGap(grade, task) {
+    if (this.rng.next() >= this.getGapRatio(grade)) return task;
+    return this.createGapTask(task);
+  }
+
+  // Platzhalteraufgabe: ein Operand wird zur Lücke, das Ergebnis steht da.
+  createGapTask(task) {
+    const [a, b] = task.operands;
+    const gap = this.rng.int(0, 1);
+    const parts = [gap === 0 ? "□" : a, task.op, gap === 1 ? "□" : b, "=", task.answer];
+    return {
+      type: "gap",
+      key: `${task.key}:gap${gap}`,
+      prompt: parts.join(" "),
+      bubble: parts.join(" "),
+      answer: task.operands[gap],
+      op: task.op,
+      operands: task.operands,
+      gap,
+      result: task.answer,
+    };
+  }
+
+  createWordProblem(words) {
+    const index = this.rng.int(0, words.templates.length - 1);
+    const template = words.templates[index];
+    let a = this.rng.int(template.a[0], template.a[1]);
+    let b = this.rng.int(template.b[0], template.b[1]);
+    if (template.op === "-" && b > a) [a, b] = [b, a];
+    if (template.op === "÷") {
+      const minQuotient = Math.max(1, Math.ceil(template.a[0] / b));
+      const maxQuotient = Math.floor(template.a[1] / b);
+      if (minQuotient > maxQuotient) return null;
+      a = b * this.rng.int(minQuotient, maxQuotient);
+    }
+    const answers = { "+": a + b, "-": a - b, "×": a * b, "÷": a / b };
+    const values = {
+      name: words.names[this.rng.int(0, words.names.length - 1)],
+      objects: words.objects[this.rng.int(0, words.objects.length - 1)],
+      a,
+      b,
+    };
+    const text = template.text.replace(/\{(\w+)\}/g, (match, name) =>
+      name in values ? String(values[name]) : match
+    );
+    const task = {
+      type: "word",
+      key: `word:${index}:${a}${template.op}${b}`,
+      prompt: text,
+      bubble: text,
+      answer: answers[template.op],
+      speech: text,
+      op: template.op,
+      operands: [a, b],
+    };
+    if (template.scene === "fireflies" && a <= 20) {
+      task.scene = "fireflies";
+      task.count = a;
+    }
+    return task;
+  }
+
+  // Feste Aufgabe aus dem Level-Editor; "7 + 5" bekommt dieselben Tipps wie Rechenaufgaben.
+  // Feste Editor-Aufgaben zählen zur Stufe des Levels, sonst zur eingestellten.
+  createFixedTask(prompt, answer, grade = this.settings.get("grade")) {
+    const text = String(prompt).trim();
+    const task = {
+      type: "fixed",
+      key: `fixed:${text}`,
+      prompt: text,
+      answer: Number(answer),
+      grade,
+    };
+    const match = text.match(/^(-?\d+)\s*([+\-×÷*:x])\s*(-?\d+)\s*=?$/);
+    if (!match) return task;
+    const op = { "*": "×", x: "×", ":": "÷" }[match[2]] || match[2];
+    const a = Number(match[1]);
+    const b = Number(match[3]);
+    const results = { "+": a + b, "-": a - b, "×": a * b, "÷": b ? a / b : NaN };
+    // Bilder nur, wenn die Lösung zur Rechnung passt und die Zahlen klein genug sind.
+    const small = op === "×" ? a <= 10 && b <= 10 : Math.abs(a) <= 100 && Math.abs(b) <= 100;
+    if (results[op] === task.answer && small && a >= 0 && b >= 0) {
+      task.op = op;
+      task.operands = [a, b];
+    }
+    return task;
+  }
+
+  createPlaceValue(max) {
+    const kind = this.rng.int(0, 2);
+    if (kind === 0) return this.createPlaceDigit(this.rng.int(100, max - 1));
+    if (kind === 1) return this.createBetween(max);
+    return this.createCompare(max);
+  }
+
+  createPlaceDigit(number) {
+    const places = [
+      { name: "Hunderter", value: 100 },
+      { name: "Zehner", value: 10 },
+      { name: "Einer", value: 1 },
+    ];
+    const place = places[this.rng.int(0, places.length - 1)];
+    const answer = Math.floor(number / place.value) % 10;
+    // "Wie viele Zehner hat 347?" wäre doppeldeutig (4 oder 34), daher nach der Stelle fragen.
+    const prompt =
+      place.value === 100
+        ? `Wie viele Hunderter hat ${number}?`
+        : `Welche Ziffer steht bei den ${place.name}n von ${number}?`;
+    return {
+      type: "place",
+      key: `place:${place.name}:${number}`,
+      number,
+      prompt,
+      bubble: prompt,
+      answer,
+      speech: prompt,
+    };
+  }
+
+  createBetween(max) {
+    const step = [1, 10, 100][this.rng.int(0, 2)];
+    const middle = this.rng.int(1, Math.floor(max / step) - 1) * step;
+    const lower = middle - step;
+    const upper = middle + step;
+    const prompt = `Welche Zahl liegt genau zwischen ${lower} und ${upper}?`;
+    return {
+      type: "between",
+      key: `between:${lower}:${upper}`,
+      prompt,
+      bubble: prompt,
+      answer: middle,
+      speech: prompt,
+    };
+  }
+
+  createCompare(max) {
+    const a = this.rng.int(100, max);
+    // Meist nah beieinander, damit wirklich Stelle für Stelle verglichen werden muss.
+    const b = clamp(a + (this.rng.next() > 0.5 ? 1 : -1) * this.rng.int(1, 99), 100, max);
+    if (a === b) return this.createCompare(max);
+    return {
+      type: "compare",
+      key: `cmp:${a}:${b}`,
+      prompt: `Setze < oder > ein: ${a} ☐ ${b}`,
+      bubble: `${a} ☐ ${b}`,
+      answer: a < b ? "<" : ">",
+      answerType: "symbol",
+      speech: `Ist ${a} kleiner oder größer als ${b}?`,
+    };
+  }
+
+  // Antwortmöglichkeiten für den Auswahlmodus: typische Fehler statt Zufallszahlen.
+  createChoices(task) {
+    if (task.answerType === "symbol") return ["<", ">"];
+    const grade = task.grade ?? this.settings.get("grade");
+    const answer = Number(task.answer);
+    const size = grade === "count-10" ? 3 : 4;
+    const likely = [];
+    if (task.type === "place") likely.push(...String(task.number).split("").map(Number));
+    if (task.type === "gap") {
+      const known = task.operands[1 - task.gap];
+      likely.push(task.result, task.result + known, Math.abs(task.result - known));
+    } else if (task.operands) {
+      const [a, b] = task.operands;
+      if (task.op === "+") likely.push(a - b);
+      if (task.op === "-") likely.push(a + b);
+      if (task.op === "×") likely.push(a + b, a * (b + 1));
+      if (task.op === "÷") likely.push(a - b);
+    }
+    const nearby = [
+      ...this.rng.shuffle([answer + 1, answer - 1]),
+      ...this.rng.shuffle([answer + 2, answer - 2, answer + 10, answer - 10]),
+    ];
+    const distractors = [];
+    [...this.rng.shuffle(likely), ...nearby].forEach((value) => {
+      if (distractors.length >= size - 1) return;
+      if (!Number.isInteger(value) || value === answer || distractors.includes(value)) return;
+      if (value < 0 && grade !== "under-zero") return;
+      distractors.push(value);
+    });
+    return this.rng.shuffle([answer, ...distractors]).map(String);
+  }
+
+  // Gestufte Hilfen: 1. Strategie-Tipp, 2. Bild (visual), 3. vorgerechneter Lösungsweg.
+  createHints(task) {
+    if (task.type === "count") return this.createCountHints(task);
+    if (task.type === "place") return this.createPlaceHints(task);
+    if (task.type === "between") return this.createBetweenHints(task);
+    if (task.type === "compare") return this.createCompareHints(task);
+    if (task.type === "gap") return this.createGapHints(task);
+    if (task.operands) return this.createOperationHints(task);
+    return [
+      { text: "Lies die Aufgabe noch einmal ganz langsam." },
+      { text: "Schau dir die Zahlen genau an." },
+      { text: `Die Lösung ist ${task.answer}.` },
+    ];
+  }
+
+  createVisual(task) {
+    const hint = this.createHints(task).find((entry) => entry.visual);
+    return hint ? hint.visual : null;
+  }
+
+  // Sprünge am Zahlenstrahl, an der nächsten Zehnerzahl (oder der Null) geteilt.
+  splitHops(start, delta) {
+    const end = start + delta;
+    if (delta === 0) return [{ from: start, to: end }];
+    const boundary =
+      delta > 0 ? Math.floor(start / 10) * 10 + 10 : Math.ceil(start / 10) * 10 - 10;
+    const crosses = delta > 0 ? boundary < end : boundary > end;
+    if (!crosses) return [{ from: start, to: end }];
+    return [
+      { from: start, to: boundary },
+      { from: boundary, to: end },
+    ];
+  }
+
+  createOperationHints(task) {
+    const [a, b] = task.operands;
+    const intro = task.type === "word" ? "Kommt etwas dazu oder geht etwas weg? " : "";
+    if (task.op === "+" || task.op === "-") {
+      const delta = task.op === "+" ? b : -b;
+      const hops = this.splitHops(a, delta);
+      const direction = delta >= 0 ? "weiter" : "zurück";
+      const tip =
+        hops.length > 1
+          ? `Rechne erst bis zur ${hops[0].to}, dann ${direction}.`
+          : `Starte bei ${a} und zähle ${Math.abs(delta)} ${direction}.`;
+      const steps = hops
+        .map((hop) => {
+          const sign = hop.to >= hop.from ? "+" : "-";
+          return `${hop.from} ${sign} ${Math.abs(hop.to - hop.from)} = ${hop.to}`;
+        })
+        .join(", ");
+      return [
+        { text: `${intro}${tip}` },
+        { text: "Schau auf den Zahlenstrahl.", visual: { kind: "numberline", start: a, hops } },
+        { text: hops.length > 1 ? `${steps}. Also ${task.answer}.` : `${steps}.` },
+      ];
+    }
+    if (task.op === "×") {
+      const series = [1, 2, 3].map((step) => step * b).join(", ");
+      const sum = a <= 5 ? ` = ${Array(a).fill(b).join(" + ")}` : "";
+      return [
+        { text: `${intro}Zähle in ${b}er-Schritten: ${series} …` },
+        { text: `${a} Reihen mit je ${b} Punkten.`, visual: { kind: "dots", rows: a, cols: b } },
+        { text: `${a} × ${b}${sum} = ${task.answer}.` },
+      ];
+    }
+    return [
+      { text: `${intro}Wie oft passt die ${b} in die ${a}? Denk an die ${b}er-Reihe.` },
+      {
+        text: `Verteile ${a} Glühwürmchen in Gruppen zu je ${b}.`,
+        visual: { kind: "groups", total: a, groupSize: b },
+      },
+      { text: `${a} ÷ ${b} = ${task.answer}, weil ${task.answer} × ${b} = ${a}.` },
+    ];
+  }
+
+  createGapHints(task) {
+    const known = task.operands[1 - task.gap];
+    const solved = task.prompt.replace("□", String(task.answer));
+    if (task.op === "+") {
+      return [
+        { text: `Wie viel fehlt von ${known} bis ${task.result}?` },
+        {
+          text: "Schau auf den Zahlenstrahl.",
+          visual: { kind: "numberline", start: known, hops: [{ from: known, to: task.result }] },
+        },
+        { text: `${task.result} - ${known} = ${task.answer}, also ${solved}.` },
+      ];
+    }
+    if (task.op === "-") {
+      const from = task.gap === 1 ? known : task.result;
+      const to = task.gap === 1 ? task.result : task.result + known;
+      const check =
+        task.gap === 1
+          ? `${known} - ${task.result} = ${task.answer}`
+          : `${task.result} + ${known} = ${task.answer}`;
+      return [
+        { text: "Nutze die Umkehraufgabe mit Plus." },
+        {
+          text: "Schau auf den Zahlenstrahl.",
+          visual: { kind: "numberline", start: from, hops: [{ from, to }] },
+        },
+        { text: `${check}, also ${solved}.` },
+      ];
+    }
+    if (task.op === "×") {
+      return [
+        { text: `Welche Zahl mal ${known} ergibt ${task.result}? Denk an die ${known}er-Reihe.` },
+        {
+          text: `${task.result} Punkte in Reihen zu je ${known}.`,
+          visual: { kind: "dots", rows: task.answer, cols: known },
+        },
+        { text: `${task.result} ÷ ${known} = ${task.answer}, also ${solved}.` },
+      ];
+    }
+    const check =
+      task.gap === 0
+        ? `${task.result} × ${known} = ${task.answer}`
+        : `${known} ÷ ${task.result} = ${task.answer}`;
+    return [
+      { text: "Nutze die Umkehraufgabe mit Mal." },
+      {
+        text: "So sehen die Gruppen aus.",
+        visual:
+          task.gap === 0
+            ? { kind: "groups", total: task.answer, groupSize: task.result }
+            : { kind: "groups", total: known, groupSize: task.result },
+      },
+      { text: `${check}, also ${solved}.` },
+    ];
+  }
+
+  createCountHints(task) {
+    return [
+      { text: "Zeig in Gedanken auf jedes Glühwürmchen und zähle mit." },
+      {
+        text: "Hier sind sie in Fünferreihen.",
+        visual: { kind: "dots", rows: Math.ceil(task.count / 5), cols: 5, total: task.count },
+      },
+      { text: `Es sind ${task.count} Glühwürmchen.` },
+    ];
+  }
+
+  createPlaceHints(task) {
+    const [hundreds, tens, ones] = String(task.number).padStart(3, "0").split("");
+    const parts = `${hundreds} Hunderter, ${tens} Zehner und ${ones} Einer`;
+    return [
+      { text: "Ganz links stehen die Hunderter, dann die Zehner, dann die Einer." },
+      {
+        text: "Schau in die Stellenwerttafel.",
+        visual: { kind: "place", numbers: [task.number] },
+      },
+      { text: `${task.number} hat ${parts}. Also ${task.answer}.` },
+    ];
+  }
+
+  createBetweenHints(task) {
+    const [lower, upper] = task.key.split(":").slice(1).map(Number);
+    const distance = upper - lower;
+    const half = distance / 2;
+    return [
+      { text: "Die Zahl in der Mitte ist von beiden Zahlen gleich weit weg." },
+      {
+        text: "Schau auf den Zahlenstrahl.",
+        visual: { kind: "numberline", start: lower, hops: [{ from: lower, to: upper }] },
+      },
+      { text: `Die Hälfte von ${distance} ist ${half}. ${lower} + ${half} = ${task.answer}.` },
+    ];
+  }
+
+  createCompareHints(task) {
+    const [a, b] = task.key.split(":").slice(1).map(Number);
+    const word = task.answer === "<" ? "kleiner" : "größer";
+    return [
+      { text: "Vergleiche zuerst die Hunderter. Sind sie gleich, dann die Zehner." },
+      { text: "Schau in die Stellenwerttafel.", visual: { kind: "place", numbers: [a, b] } },
+      { text: `${a} ist ${word} als ${b}, also ${a} ${task.answer} ${b}.` },
+    ];
+  }
+
+  isCorrect(task, value) {
+    const text = String(value ?? "").trim();
+    if (task.answerType === "symbol") return text === task.answer;
+    // Number("") wäre 0 – leere Eingaben dürfen Null-Aufgaben nicht lösen.
+    const number = Number(text);
+    return text !== "" && Number.isFinite(number) && number === Number(task.answer);
+  }
+
+  getSamples() {
+    const grade = this.settings.get("grade");
+    if (grade === "count-10") {
+      return [
+        {
+          text:
+            "Z\u00e4hle bis 5: Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen",
+          speech: "Z\u00e4hle bis f\u00fcnf.",
+        },
+        {
+          text:
+            "Wie viele Gl\u00fchw\u00fcrmchen siehst du? Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen",
+          speech: "Wie viele Gl\u00fchw\u00fcrmchen?",
+        },
+        {
+          text:
+            "Z\u00e4hle bis 10: Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen",
+          speech: "Z\u00e4hle bis zehn.",
+        },
+      ];
+    }
+    if (grade === "count-10") {
+      return [
+        {
+          text: "Z\u00e4hle bis 5: Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen",
+          speech: "Z\u00e4hle bis f\u00fcnf.",
+        },
+        {
+          text:
+            "Wie viele Gl\u00fchw\u00fcrmchen siehst du? Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen Gl\u00fchw\u00fcrmchen",
+          speech: "Wie viele Gl\u00fchw\u00fcrmchen?",
+        },
+        {
+          text:
+            "Zähle bis 10: Glühwürmchen Glühwürmchen Glühwürmchen Glühwürmchen Glühwürmchen Glühwürmchen Glühwürmchen Glühwürmchen Glühwürmchen Glühwürmchen",
+          speech: "Zähle bis zehn.",
+        },
+      ];
+    }
+    if (grade === "addsub-10") {
+      return [
+        { text: "7 + 2", speech: "Sieben plus zwei." },
+        { text: "10 - 6", speech: "Zehn minus sechs." },
+        { text: "4 + 5", speech: "Vier plus fünf." },
+      ];
+    }
+    if (grade === "addsub-100") {
+      return [
+        { text: "48 + 12", speech: "Achtundvierzig plus zwölf." },
+        { text: "70 - 35", speech: "Siebzig minus fünfunddreißig." },
+        { text: "19 + 63", speech: "Neunzehn plus dreiundsechzig." },
+      ];
+    }
+    if (grade === "mult-10") {
+      return [
+        { text: "3 × 4", speech: "Drei mal vier." },
+        { text: "7 × 8", speech: "Sieben mal acht." },
+        { text: "9 × 6", speech: "Neun mal sechs." },
+      ];
+    }
+    if (grade === "div-100") {
+      return [
+        { text: "24 ÷ 6", speech: "Vierundzwanzig geteilt durch sechs." },
+        { text: "45 ÷ 5", speech: "Fünfundvierzig geteilt durch fünf." },
+        { text: "81 ÷ 9", speech: "Einundachtzig geteilt durch neun." },
+      ];
+    }
+    if (grade === "under-zero") {
+      return [
+        { text: "3 - 9", speech: "Drei minus neun." },
+        { text: "-5 + 7", speech: "Minus fünf plus sieben." },
+        { text: "10 - 18", speech: "Zehn minus achtzehn." },
+      ];
+    }
+    if (grade === "place-1000") {
+      return [
+        {
+          text: "Wie viele Hunderter hat 347?",
+          speech: "Wie viele Hunderter hat dreihundertsiebenundvierzig?",
+        },
+        {
+          text: "Welche Zahl liegt genau zwischen 480 und 500?",
+          speech: "Welche Zahl liegt genau zwischen vierhundertachtzig und fünfhundert?",
+        },
+        {
+          text: "Setze < oder > ein: 347 ☐ 374",
+          speech:
+            "Ist dreihundertsiebenundvierzig kleiner oder größer als dreihundertvierundsiebzig?",
+        },
+      ];
+    }
+    return [];
+  }
+}
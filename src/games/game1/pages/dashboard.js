@@ -0,0 +1,232 @@
+import { formatTimestamp, getPalette } from "../util.js";
+import { gradeLabels } from "../constants.js";
+import { ProfileStore } from "../profileStore.js";
+import { Settings } from "../settings.js";
+import { ProgressBundle } from "../progressBundle.js";
+
+// -----------------------------
+// Eltern-Seite Logik
+// -----------------------------
+export const initDashboard = () => {
+  const profiles = new ProfileStore();
+  const palette = getPalette();
+  const profileSelect = document.getElementById("dashboard-profile");
+  const summaryEl = document.getElementById("dashboard-summary");
+  const emptyNote = document.getElementById("dashboard-empty");
+  const gradeTable = document.getElementById("grade-table");
+  const missedList = document.getElementById("missed-list");
+  const chart = document.getElementById("history-chart");
+  const exportJsonBtn = document.getElementById("export-json");
+  const exportCsvBtn = document.getElementById("export-csv");
+  const importInput = document.getElementById("import-file");
+  const transferStatus = document.getElementById("transfer-status");
+  const bundle = new ProgressBundle(profiles);
+
+  const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  };
+
+  const formatPercent = (part, total) =>
+    total ? `${Math.round((part / total) * 100)} %` : "–";
+
+  const renderSummary = (sessions) => {
+    if (!summaryEl) return;
+    const totals = sessions.reduce(
+      (sum, session) => ({
+        time: sum.time + (session.lastActiveAt - session.startedAt),
+        tasks: sum.tasks + session.tasks,
+        attempts: sum.attempts + session.attempts,
+        correct: sum.correct + session.correct,
+      }),
+      { time: 0, tasks: 0, attempts: 0, correct: 0 }
+    );
+    const entries = [
+      ["Runden", String(sessions.length)],
+      ["Aufgaben", String(totals.tasks)],
+      ["Richtig", formatPercent(totals.correct, totals.attempts)],
+      ["Spielzeit", formatDuration(totals.time)],
+    ];
+    summaryEl.innerHTML = "";
+    entries.forEach(([label, value]) => {
+      const item = document.createElement("div");
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      item.appendChild(dt);
+      item.appendChild(dd);
+      summaryEl.appendChild(item);
+    });
+    if (emptyNote) emptyNote.hidden = sessions.length > 0;
+  };
+
+  const renderGrades = (sessions) => {
+    if (!gradeTable) return;
+    gradeTable.innerHTML = "";
+    Object.keys(gradeLabels).forEach((grade) => {
+      const gradeSessions = sessions.filter((session) => session.grade === grade);
+      if (!gradeSessions.length) return;
+      const attempts = gradeSessions.reduce((sum, session) => sum + session.attempts, 0);
+      const correct = gradeSessions.reduce((sum, session) => sum + session.correct, 0);
+      const tasks = gradeSessions.reduce((sum, session) => sum + session.tasks, 0);
+      const time = gradeSessions.reduce(
+        (sum, session) => sum + (session.lastActiveAt - session.startedAt),
+        0
+      );
+      const row = document.createElement("tr");
+      [
+        gradeLabels[grade],
+        gradeSessions.length,
+        tasks,
+        formatPercent(correct, attempts),
+        formatDuration(time),
+      ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = String(value);
+        row.appendChild(cell);
+      });
+      gradeTable.appendChild(row);
+    });
+  };
+
+  const renderMissed = (sessions) => {
+    if (!missedList) return;
+    const counts = {};
+    sessions.forEach((session) => {
+      Object.entries(session.missed || {}).forEach(([label, count]) => {
+        counts[label] = (counts[label] || 0) + count;
+      });
+    });
+    const top = Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 8);
+    missedList.innerHTML = "";
+    if (!top.length) {
+      const li = document.createElement("li");
+      li.className = "sample-item";
+      li.textContent = "Bisher keine Fehler – super!";
+      missedList.appendChild(li);
+      return;
+    }
+    top.forEach(([label, count]) => {
+      const li = document.createElement("li");
+      li.className = "sample-item";
+      const text = document.createElement("span");
+      text.textContent = label;
+      const amount = document.createElement("span");
+      amount.textContent = `${count}× verpasst`;
+      li.appendChild(text);
+      li.appendChild(amount);
+      missedList.appendChild(li);
+    });
+  };
+
+  // Balken = Anteil richtiger Antworten je Runde, die letzten 20 Runden.
+  const renderChart = (sessions) => {
+    if (!chart) return;
+    const ctx = chart.getContext("2d");
+    const recent = sessions.slice(-20);
+    const padding = 28;
+    const chartHeight = chart.height - padding * 2;
+    ctx.clearRect(0, 0, chart.width, chart.height);
+    ctx.strokeStyle = "rgba(127, 166, 199, 0.4)";
+    ctx.fillStyle = palette.textSoft || "#f2f4f1";
+    ctx.font = '12px "Fable", system-ui, "Segoe UI", Arial, sans-serif';
+    [0, 0.5, 1].forEach((step) => {
+      const y = padding + chartHeight * (1 - step);
+      ctx.beginPath();
+      ctx.moveTo(padding, y);
+      ctx.lineTo(chart.width - 8, y);
+      ctx.stroke();
+      ctx.fillText(`${step * 100}%`, 0, y - 2);
+    });
+    if (!recent.length) return;
+    const slot = (chart.width - padding - 8) / recent.length;
+    recent.forEach((session, index) => {
+      const ratio = session.attempts ? session.correct / session.attempts : 0;
+      const barHeight = chartHeight * ratio;
+      const x = padding + index * slot + slot * 0.2;
+      ctx.fillStyle = session.completed ? palette.accentWarm : palette.nightPrimary;
+      ctx.fillRect(x, padding + chartHeight - barHeight, slot * 0.6, barHeight);
+      const date = new Date(session.startedAt);
+      ctx.fillStyle = palette.textSoft || "#f2f4f1";
+      ctx.fillText(`${date.getDate()}.${date.getMonth() + 1}.`, x, chart.height - 8);
+    });
+  };
+
+  const render = (profileId) => {
+    const settings = new Settings(profiles, profileId);
+    const sessions = settings.get("sessions") || [];
+    renderSummary(sessions);
+    renderGrades(sessions);
+    renderMissed(sessions);
+    renderChart(sessions);
+  };
+
+  const renderProfileOptions = () => {
+    if (!profileSelect) return;
+    profileSelect.innerHTML = "";
+    profiles.list().forEach((profile) => {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+    profileSelect.value = profiles.getActive().id;
+  };
+
+  const download = (content, type, extension) => {
+    const link = document.createElement("a");
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    link.download = `lumoland_fortschritt_${formatTimestamp(new Date())}.${extension}`;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const setTransferStatus = (lines) => {
+    if (!transferStatus) return;
+    transferStatus.innerHTML = "";
+    lines.forEach((line) => {
+      const p = document.createElement("p");
+      p.textContent = line;
+      transferStatus.appendChild(p);
+    });
+  };
+
+  exportJsonBtn?.addEventListener("click", () => {
+    download(JSON.stringify(bundle.create(), null, 2), "application/json", "json");
+  });
+
+  exportCsvBtn?.addEventListener("click", () => {
+    download(`\ufeff${bundle.toCsv(bundle.create())}`, "text/csv", "csv");
+  });
+
+  importInput?.addEventListener("change", () => {
+    const file = importInput.files && importInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = bundle.import(String(reader.result));
+      if (result.ok) {
+        setTransferStatus([`${result.count} Profil(e) importiert.`]);
+        renderProfileOptions();
+        render(profiles.getActive().id);
+      } else {
+        setTransferStatus(["Import fehlgeschlagen:", ...result.errors]);
+      }
+      importInput.value = "";
+    };
+    reader.onerror = () => setTransferStatus(["Die Datei konnte nicht geöffnet werden."]);
+    reader.readAsText(file);
+  });
+
+  if (profileSelect) {
+    renderProfileOptions();
+    profileSelect.addEventListener("change", () => render(profileSelect.value));
+  }
+
+  render(profiles.getActive().id);
+};
@@ -0,0 +1,245 @@
+import { formatTimestamp, getPalette } from "../util.js";
+import { gradeLabels, platformKindLabels } from "../constants.js";
+import { Settings } from "../settings.js";
+import { LevelStore } from "../levelStore.js";
+import { LevelEditor } from "../levelEditor.js";
+
+// -----------------------------
+// Level-Editor-Seite Logik
+// -----------------------------
+export const initEditor = () => {
+  const canvas = document.getElementById("editor-canvas");
+  if (!canvas) return;
+  const store = new LevelStore();
+  // Stufe beim Anlegen; danach gehört sie zum Level, auch wenn die Einstellung wechselt.
+  const grade = new Settings().get("grade");
+  const editor = new LevelEditor(canvas, store, getPalette());
+  const levelSelect = document.getElementById("level-select");
+  const nameInput = document.getElementById("level-name");
+  const statusEl = document.getElementById("editor-status");
+  const newBtn = document.getElementById("editor-new");
+  const saveBtn = document.getElementById("editor-save");
+  const deleteBtn = document.getElementById("editor-delete");
+  const activateBtn = document.getElementById("editor-activate");
+  const playLink = document.getElementById("editor-play");
+  const exportBtn = document.getElementById("editor-export");
+  const importInput = document.getElementById("editor-import");
+  const platformPanel = document.getElementById("platform-panel");
+  const platformTitle = document.getElementById("platform-title");
+  const kindSelect = document.getElementById("platform-kind");
+  const modeSelect = document.getElementById("platform-mode");
+  const gradeField = document.getElementById("platform-grade-field");
+  const gradeSelect = document.getElementById("platform-grade");
+  const fixedFields = document.getElementById("platform-fixed-fields");
+  const promptInput = document.getElementById("platform-prompt");
+  const answerInput = document.getElementById("platform-answer");
+  let notice = [];
+
+  const setStatus = (lines) => {
+    if (!statusEl) return;
+    statusEl.innerHTML = "";
+    lines.forEach((line) => {
+      const p = document.createElement("p");
+      p.textContent = line;
+      statusEl.appendChild(p);
+    });
+  };
+
+  const describeReachability = () => {
+    if (!editor.level.platforms.length) {
+      return ["Klicke ins Bild, um die erste Plattform zu setzen."];
+    }
+    if (!editor.unreachable.length) return ["Alle Plattformen sind für Lumi erreichbar."];
+    const numbers = editor.unreachable.map((index) => index + 1).join(", ");
+    return [
+      `Nicht erreichbar: Plattform ${numbers}.`,
+      "Lumi schafft etwa 100 Pixel nach oben und 140 Pixel zur Seite.",
+    ];
+  };
+
+  const renderLevelOptions = () => {
+    if (!levelSelect) return;
+    levelSelect.innerHTML = "";
+    const empty = document.createElement("option");
+    empty.value = "";
+    empty.textContent = "– neues Level –";
+    levelSelect.appendChild(empty);
+    store.list().forEach((level) => {
+      const option = document.createElement("option");
+      option.value = level.id;
+      option.textContent = level.id === store.state.activeId ? `${level.name} ★` : level.name;
+      levelSelect.appendChild(option);
+    });
+    levelSelect.value = editor.level.id || "";
+  };
+
+  const renderPlatform = () => {
+    const platform = editor.getSelected();
+    if (platformPanel) platformPanel.hidden = !platform;
+    if (!platform) return;
+    const mode = platform.task ? "fixed" : platform.grade ? "grade" : "random";
+    if (platformTitle) platformTitle.textContent = `Plattform ${editor.selected + 1}`;
+    if (kindSelect) kindSelect.value = platform.kind || "static";
+    if (modeSelect) modeSelect.value = mode;
+    if (gradeField) gradeField.hidden = mode !== "grade";
+    if (fixedFields) fixedFields.hidden = mode !== "fixed";
+    if (gradeSelect && platform.grade) gradeSelect.value = platform.grade;
+    if (platform.task && document.activeElement !== promptInput && promptInput) {
+      promptInput.value = platform.task.prompt;
+    }
+    if (platform.task && document.activeElement !== answerInput && answerInput) {
+      answerInput.value = Number.isInteger(platform.task.answer) ? platform.task.answer : "";
+    }
+  };
+
+  const renderButtons = () => {
+    const saved = Boolean(editor.level.id && store.get(editor.level.id));
+    const active = saved && store.state.activeId === editor.level.id;
+    if (deleteBtn) deleteBtn.disabled = !saved;
+    if (activateBtn) {
+      activateBtn.disabled = !saved;
+      activateBtn.textContent = active ? "Wieder Zufallslevel spielen" : "Im Spiel verwenden";
+      activateBtn.setAttribute("aria-pressed", active ? "true" : "false");
+    }
+    if (playLink) {
+      playLink.hidden = !saved;
+      playLink.href = saved ? `../game.html?level=${encodeURIComponent(editor.level.id)}` : "#";
+    }
+  };
+
+  editor.onChange = () => {
+    renderPlatform();
+    renderButtons();
+    setStatus([...notice, ...describeReachability()]);
+    notice = [];
+  };
+
+  const readTask = () => ({
+    prompt: promptInput ? promptInput.value : "",
+    answer: answerInput && answerInput.value.trim() !== "" ? Number(answerInput.value) : NaN,
+  });
+
+  const applyMode = () => {
+    const mode = modeSelect ? modeSelect.value : "random";
+    if (mode === "grade") editor.setTag({ grade: gradeSelect ? gradeSelect.value : "count-10" });
+    else if (mode === "fixed") editor.setTag({ task: readTask() });
+    else editor.setTag({});
+  };
+
+  if (gradeSelect) {
+    Object.entries(gradeLabels).forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      gradeSelect.appendChild(option);
+    });
+  }
+
+  if (kindSelect) {
+    Object.entries(platformKindLabels).forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      kindSelect.appendChild(option);
+    });
+    kindSelect.addEventListener("change", () => editor.setKind(kindSelect.value));
+  }
+
+  modeSelect?.addEventListener("change", applyMode);
+  gradeSelect?.addEventListener("change", applyMode);
+  promptInput?.addEventListener("input", applyMode);
+  answerInput?.addEventListener("input", applyMode);
+  nameInput?.addEventListener("input", () => {
+    editor.level.name = nameInput.value;
+  });
+  document.getElementById("platform-earlier")?.addEventListener("click", () => {
+    editor.moveSelected(-1);
+  });
+  document.getElementById("platform-later")?.addEventListener("click", () => {
+    editor.moveSelected(1);
+  });
+  document.getElementById("platform-remove")?.addEventListener("click", () => {
+    editor.removeSelected();
+  });
+
+  const openLevel = (level) => {
+    editor.load(level || { ...editor.createEmpty(), grade });
+    if (nameInput) nameInput.value = editor.level.name;
+    renderLevelOptions();
+  };
+
+  levelSelect?.addEventListener("change", () => openLevel(store.get(levelSelect.value)));
+  newBtn?.addEventListener("click", () => openLevel(null));
+
+  saveBtn?.addEventListener("click", () => {
+    const errors = store.validatePlatforms(editor.level.platforms);
+    if (errors.length) {
+      setStatus(["Speichern nicht möglich:", ...errors]);
+      return;
+    }
+    if (!editor.level.grade) editor.level.grade = grade;
+    const entry = store.upsert(editor.level);
+    editor.level.id = entry.id;
+    editor.level.name = entry.name;
+    notice = [`„${entry.name}“ gespeichert.`];
+    renderLevelOptions();
+    editor.changed();
+  });
+
+  deleteBtn?.addEventListener("click", () => {
+    if (!editor.level.id) return;
+    if (!window.confirm(`„${editor.level.name}“ wirklich löschen?`)) return;
+    store.remove(editor.level.id);
+    openLevel(null);
+  });
+
+  // Nur ein Level, das Lumi auch schaffen kann, darf im Spiel landen.
+  activateBtn?.addEventListener("click", () => {
+    if (store.state.activeId === editor.level.id) {
+      store.setActive(null);
+      notice = ["Im Spiel gibt es wieder Zufallslevel."];
+    } else if (editor.unreachable.length) {
+      notice = ["Erst alle Plattformen erreichbar machen."];
+    } else {
+      store.setActive(editor.level.id);
+      notice = [`„${editor.level.name}“ wird jetzt im Spiel verwendet.`];
+    }
+    renderLevelOptions();
+    editor.changed();
+  });
+
+  exportBtn?.addEventListener("click", () => {
+    const errors = store.validatePlatforms(editor.level.platforms);
+    if (errors.length) {
+      setStatus(["Export nicht möglich:", ...errors]);
+      return;
+    }
+    const content = JSON.stringify(store.toFile(editor.level), null, 2);
+    const link = document.createElement("a");
+    const url = URL.createObjectURL(new Blob([content], { type: "application/json" }));
+    link.download = `lumoland_level_${formatTimestamp(new Date())}.json`;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  importInput?.addEventListener("change", () => {
+    const file = importInput.files && importInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = store.import(String(reader.result));
+      if (result.ok) {
+        notice = [`„${result.level.name}“ importiert.`];
+        openLevel(result.level);
+      } else {
+        setStatus(["Import fehlgeschlagen:", ...result.errors]);
+      }
+      importInput.value = "";
+    };
+    reader.onerror = () => setStatus(["Die Datei konnte nicht geöffnet werden."]);
+    reader.readAsText(file);
+  });
+
+  openLevel(store.getActive());
+};
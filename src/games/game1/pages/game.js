@@ -0,0 +1,49 @@
+import { Settings } from "../settings.js";
+import { WorldRegistry } from "../worldRegistry.js";
+import { Game } from "../game.js";
+import { UI } from "../ui.js";
+import { InputRecorder } from "../inputRecorder.js";
+
+// -----------------------------
+// Game-Seite Logik
+// -----------------------------
+export const initGame = () => {
+  const canvas = document.getElementById("game-canvas");
+  if (!canvas) return;
+  const meterFill = document.getElementById("meter-fill");
+  const meterEl = document.querySelector(".meter");
+  const lumiText = document.getElementById("lumi-text");
+  const taskText = document.getElementById("task-text");
+  const results = document.getElementById("results-modal");
+  results?.querySelector("[data-results-continue]")?.addEventListener("click", () => {
+    window.location.href = "lumoland/index.html";
+  });
+  results?.querySelector("[data-results-replay]")?.addEventListener("click", () => {
+    window.location.href = "game.html?replay";
+  });
+
+  // Erst die Welten laden; gesperrte oder unbekannte Welten fallen auf den Wald zurück.
+  const worlds = new WorldRegistry();
+  worlds.load().then(() => {
+    const settings = new Settings();
+    // ?replay spielt die letzte aufgenommene Runde dieses Profils noch einmal ab.
+    const params = new URLSearchParams(window.location.search);
+    const replay = params.has("replay") ? new InputRecorder(settings).load() : null;
+    if (params.has("replay") && !replay) console.warn("No recorded run to replay");
+    const worldId = replay ? replay.world : settings.get("world");
+    const world = worlds.pick(worldId, settings.get("sessions") || []);
+    const game = new Game({
+      canvas,
+      meterFill,
+      meterEl,
+      lumiText,
+      taskText,
+      results,
+      world,
+      replay,
+    });
+    const ui = new UI(game, game.settings, game.speech);
+    ui.init();
+    game.start();
+  });
+};
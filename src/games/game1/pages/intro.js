@@ -0,0 +1,294 @@
+import { rewardCatalog, wardrobeSlots } from "../constants.js";
+import { Settings } from "../settings.js";
+import { Speech } from "../speech.js";
+import { RewardShelf } from "../rewardShelf.js";
+import { MathEngine } from "../mathEngine.js";
+import { PlayerLumi } from "../playerLumi.js";
+
+// -----------------------------
+// Intro-Seite Logik
+// -----------------------------
+export const initIntro = () => {
+  const settings = new Settings();
+  const speech = new Speech(settings);
+  const math = new MathEngine(settings);
+  const gradeSelect = document.getElementById("grade-select");
+  const difficultySelect = document.getElementById("difficulty-select");
+  const answerModeSelect = document.getElementById("answer-mode-select");
+  const lengthSelect = document.getElementById("length-select");
+  const wordToggle = document.getElementById("word-toggle");
+  const gapSelect = document.getElementById("gap-select");
+  const muteToggle = document.getElementById("mute-toggle");
+  const sampleList = document.getElementById("sample-list");
+  const ttsNote = document.getElementById("tts-note");
+  const tabs = document.querySelectorAll(".tabs .chip");
+  const aboutModal = document.getElementById("about-modal");
+  const profileList = document.getElementById("profile-list");
+  const profileForm = document.getElementById("profile-form");
+  const profileName = document.getElementById("profile-name");
+  const profileColors = document.getElementById("profile-colors");
+  const wardrobeSlotsEl = document.getElementById("wardrobe-slots");
+  const wardrobePreview = document.getElementById("wardrobe-preview");
+  const wardrobeStars = document.getElementById("wardrobe-stars");
+  const rewards = new RewardShelf(settings);
+
+  // Profilwechsel lädt die Seite neu, damit alle Einstellungen zum Profil passen.
+  const renderProfiles = () => {
+    if (!profileList) return;
+    profileList.innerHTML = "";
+    const profiles = settings.profiles.list();
+    profiles.forEach((profile) => {
+      const li = document.createElement("li");
+      li.className = "profile-chip";
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "chip";
+      const isActive = profile.id === settings.profile.id;
+      btn.classList.toggle("active", isActive);
+      btn.setAttribute("aria-pressed", isActive ? "true" : "false");
+      const avatar = document.createElement("span");
+      avatar.className = "profile-avatar";
+      avatar.style.background = profile.color;
+      btn.appendChild(avatar);
+      btn.appendChild(document.createTextNode(profile.name));
+      btn.addEventListener("click", () => {
+        if (isActive) return;
+        settings.profiles.setActive(profile.id);
+        window.location.reload();
+      });
+      li.appendChild(btn);
+      if (profiles.length > 1) {
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "profile-remove";
+        remove.textContent = "✕";
+        remove.setAttribute("aria-label", `Profil ${profile.name} löschen`);
+        remove.addEventListener("click", () => {
+          const question = `Profil „${profile.name}“ mit allem Fortschritt löschen?`;
+          if (!window.confirm(question)) return;
+          settings.profiles.remove(profile.id);
+          if (isActive) window.location.reload();
+          else renderProfiles();
+        });
+        li.appendChild(remove);
+      }
+      profileList.appendChild(li);
+    });
+  };
+
+  if (profileColors) {
+    settings.profiles.colors.forEach((color, index) => {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = "profile-color";
+      input.value = color;
+      input.checked = index === 0;
+      input.setAttribute("aria-label", `Farbe ${index + 1}`);
+      const swatch = document.createElement("span");
+      swatch.className = "profile-avatar";
+      swatch.style.background = color;
+      label.appendChild(input);
+      label.appendChild(swatch);
+      profileColors.appendChild(label);
+    });
+  }
+
+  if (profileForm && profileName) {
+    profileForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const color = profileForm.querySelector('input[name="profile-color"]:checked');
+      const profile = settings.profiles.add(profileName.value, color ? color.value : null);
+      settings.profiles.setActive(profile.id);
+      window.location.reload();
+    });
+  }
+
+  const renderSamples = () => {
+    if (!sampleList) return;
+    sampleList.innerHTML = "";
+    const samples = math.getSamples();
+    samples.forEach((sample) => {
+      const li = document.createElement("li");
+      li.className = "sample-item";
+      const text = document.createElement("span");
+      text.textContent = sample.text;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = "Anhören";
+      btn.addEventListener("click", () => {
+        const spoken = speech.speak(sample.speech);
+        if (!spoken && ttsNote) {
+          ttsNote.textContent = "TTS ist hier leider nicht verfügbar.";
+        }
+      });
+      li.appendChild(text);
+      li.appendChild(btn);
+      sampleList.appendChild(li);
+    });
+    if (ttsNote) {
+      ttsNote.textContent = speech.available
+        ? "Tipp: Du kannst jede Aufgabe vorlesen lassen."
+        : "TTS ist hier leider nicht verfügbar.";
+    }
+  };
+
+  // Der Anteil an Platzhalteraufgaben gilt jeweils für die gewählte Stufe.
+  const renderGapRatio = () => {
+    if (!gapSelect) return;
+    const grade = settings.get("grade");
+    const supported = math.gapGrades.includes(grade);
+    gapSelect.disabled = !supported;
+    gapSelect.value = supported ? String(math.getGapRatio(grade)) : "0";
+  };
+
+  if (gapSelect) {
+    gapSelect.addEventListener("change", () => {
+      const ratios = { ...(settings.get("gapRatios") || {}) };
+      ratios[settings.get("grade")] = Number(gapSelect.value);
+      settings.set("gapRatios", ratios);
+    });
+  }
+
+  if (gradeSelect) {
+    gradeSelect.value = settings.get("grade");
+    gradeSelect.addEventListener("change", () => {
+      settings.set("grade", gradeSelect.value);
+      renderGapRatio();
+      renderSamples();
+    });
+  }
+
+  if (difficultySelect) {
+    difficultySelect.value = settings.get("difficulty");
+    difficultySelect.addEventListener("change", () => {
+      settings.set("difficulty", difficultySelect.value);
+    });
+  }
+
+  if (answerModeSelect) {
+    answerModeSelect.value = settings.get("answerMode");
+    answerModeSelect.addEventListener("change", () => {
+      settings.set("answerMode", answerModeSelect.value);
+    });
+  }
+
+  if (lengthSelect) {
+    lengthSelect.value = settings.get("levelLength");
+    lengthSelect.addEventListener("change", () => {
+      settings.set("levelLength", lengthSelect.value);
+    });
+  }
+
+  if (wordToggle) {
+    wordToggle.checked = settings.get("wordProblems");
+    wordToggle.addEventListener("change", () => settings.set("wordProblems", wordToggle.checked));
+  }
+
+  if (muteToggle) {
+    muteToggle.checked = settings.get("mute");
+    muteToggle.addEventListener("change", () => settings.set("mute", muteToggle.checked));
+  }
+
+  tabs.forEach((tab) => {
+    if (tab.dataset.grade === settings.get("grade")) tab.classList.add("active");
+    tab.addEventListener("click", () => {
+      settings.set("grade", tab.dataset.grade);
+      tabs.forEach((t) => t.classList.remove("active"));
+      tab.classList.add("active");
+      if (gradeSelect) gradeSelect.value = tab.dataset.grade;
+      renderGapRatio();
+      renderSamples();
+    });
+  });
+
+  if (aboutModal) {
+    const openBtn = document.getElementById("about-btn");
+    const closeBtn = document.getElementById("close-modal");
+    const toggleModal = (open) => {
+      aboutModal.classList.toggle("open", open);
+      aboutModal.setAttribute("aria-hidden", open ? "false" : "true");
+    };
+    openBtn?.addEventListener("click", () => toggleModal(true));
+    closeBtn?.addEventListener("click", () => toggleModal(false));
+    aboutModal.addEventListener("click", (event) => {
+      if (event.target === aboutModal) toggleModal(false);
+    });
+  }
+
+  // Garderobe: Vorschau zeichnet Lumi doppelt so groß mit dem aktuellen Outfit.
+  const preview = wardrobePreview ? new PlayerLumi(null) : null;
+  const drawPreview = () => {
+    if (!preview) return;
+    const ctx = wardrobePreview.getContext("2d");
+    ctx.clearRect(0, 0, wardrobePreview.width, wardrobePreview.height);
+    ctx.save();
+    ctx.scale(2, 2);
+    preview.x = wardrobePreview.width / 4 - preview.width / 2;
+    preview.y = wardrobePreview.height / 2 - preview.height - 4;
+    preview.onGround = true;
+    preview.draw(ctx);
+    ctx.restore();
+  };
+  if (preview) preview.onLoad = drawPreview;
+
+  const renderWardrobe = () => {
+    if (!wardrobeSlotsEl) return;
+    const state = rewards.getState();
+    if (wardrobeStars) {
+      const next = rewards.getNext();
+      wardrobeStars.textContent = next
+        ? `${state.stars} Sterne gesammelt – ${next.label} gibt es ab ${next.stars}.`
+        : `${state.stars} Sterne gesammelt – alles freigeschaltet!`;
+    }
+    wardrobeSlotsEl.innerHTML = "";
+    Object.entries(wardrobeSlots).forEach(([slot, title]) => {
+      const group = document.createElement("div");
+      group.className = "wardrobe__slot";
+      group.setAttribute("role", "group");
+      group.setAttribute("aria-labelledby", `wardrobe-${slot}`);
+      const heading = document.createElement("h3");
+      heading.id = `wardrobe-${slot}`;
+      heading.textContent = title;
+      group.appendChild(heading);
+      const options = [{ id: null, label: "Ohne" }].concat(
+        rewardCatalog.filter((reward) => reward.type === slot)
+      );
+      options.forEach((reward) => {
+        const unlocked = reward.id === null || state.unlocked.includes(reward.id);
+        const selected = state[slot] === reward.id;
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "chip";
+        btn.classList.toggle("active", selected);
+        btn.setAttribute("aria-pressed", selected ? "true" : "false");
+        btn.disabled = !unlocked;
+        if (reward.color) {
+          const swatch = document.createElement("span");
+          swatch.className = "profile-avatar";
+          swatch.style.background = `rgb(${reward.color})`;
+          btn.appendChild(swatch);
+        }
+        const text = unlocked ? reward.label : `🔒 ${reward.label}`;
+        btn.appendChild(document.createTextNode(text));
+        if (!unlocked) btn.title = `Ab ${reward.stars} Sternen`;
+        btn.addEventListener("click", () => {
+          if (!rewards.equip(slot, reward.id)) return;
+          renderWardrobe();
+          // Nach dem Neuzeichnen bleibt der Fokus in derselben Gruppe.
+          const groupSelector = `[aria-labelledby="wardrobe-${slot}"] .chip.active`;
+          wardrobeSlotsEl.querySelector(groupSelector)?.focus();
+        });
+        group.appendChild(btn);
+      });
+      wardrobeSlotsEl.appendChild(group);
+    });
+    if (preview) preview.setOutfit(rewards.getOutfit());
+    drawPreview();
+  };
+
+  renderProfiles();
+  renderGapRatio();
+  renderSamples();
+  renderWardrobe();
+};
@@ -0,0 +1,136 @@
+import { clamp } from "../util.js";
+import { gradeLabels, defaultWorld } from "../constants.js";
+import { Settings } from "../settings.js";
+import { SessionRecorder } from "../sessionRecorder.js";
+import { WorldRegistry } from "../worldRegistry.js";
+
+// -----------------------------
+// Inselkarte: ein Hotspot pro Welt
+// -----------------------------
+export const initMap = () => {
+  const stage = document.querySelector(".map-stage");
+  const info = document.getElementById("map-info");
+  const settings = new Settings();
+  const recorder = new SessionRecorder(settings);
+  const worlds = new WorldRegistry("../data/welten");
+
+  const formatStars = (count) => `${"★".repeat(count)}${"☆".repeat(3 - count)}`;
+
+  // Bester Stern-Stand je Rechenstufe; Runden von vor den Welten zählen zum Wald.
+  const getProgress = (world, sessions) => {
+    const own = sessions.filter((session) => (session.world || defaultWorld.id) === world.id);
+    const stars = {};
+    own.forEach((session) => {
+      stars[session.grade] = Math.max(stars[session.grade] || 0, recorder.getStars(session));
+    });
+    return {
+      unlocked: worlds.isUnlocked(world, sessions),
+      completed: own.some((session) => session.completed),
+      stars,
+      total: Object.values(stars).reduce((sum, count) => sum + count, 0),
+    };
+  };
+
+  const describe = (world, progress) => {
+    if (!progress.unlocked) {
+      const required = worlds.get(world.requires);
+      return `Gesperrt – erst „${required ? required.name : world.requires}“ schaffen.`;
+    }
+    return progress.completed ? "Geschafft!" : "Noch nicht geschafft.";
+  };
+
+  const renderInfo = (world, progress) => {
+    if (!info) return;
+    info.innerHTML = "";
+    const title = document.createElement("h2");
+    title.textContent = world.name;
+    const status = document.createElement("p");
+    status.textContent = describe(world, progress);
+    info.append(title, status);
+    const grades = Object.keys(gradeLabels).filter((grade) => progress.stars[grade]);
+    if (!grades.length) {
+      const empty = document.createElement("p");
+      empty.className = "tts-note";
+      empty.textContent = "Noch keine Sterne.";
+      info.appendChild(empty);
+      return;
+    }
+    const list = document.createElement("ul");
+    list.className = "map-stars";
+    grades.forEach((grade) => {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = gradeLabels[grade];
+      const stars = document.createElement("span");
+      stars.className = "map-stars__value";
+      stars.textContent = formatStars(progress.stars[grade]);
+      stars.setAttribute("aria-label", `${progress.stars[grade]} von 3 Sternen`);
+      item.append(label, stars);
+      list.appendChild(item);
+    });
+    info.appendChild(list);
+  };
+
+  // Gesperrte Welten bleiben fokussierbar, damit man hört, was noch fehlt.
+  const renderHotspots = () => {
+    const sessions = settings.get("sessions") || [];
+    stage.innerHTML = "";
+    const sorted = [...worlds.list()].sort((a, b) => a.map.x - b.map.x);
+    sorted.forEach((world) => {
+      const progress = getProgress(world, sessions);
+      const hotspot = document.createElement(progress.unlocked ? "a" : "button");
+      hotspot.className = "map-hotspot";
+      if (!progress.unlocked) hotspot.classList.add("map-hotspot--locked");
+      if (progress.completed) hotspot.classList.add("map-hotspot--done");
+      hotspot.style.left = `${world.map.x}%`;
+      hotspot.style.top = `${world.map.y}%`;
+      const badge = document.createElement("span");
+      badge.className = "map-hotspot__badge";
+      badge.setAttribute("aria-hidden", "true");
+      const stars = `${progress.total}★`;
+      if (!progress.unlocked) badge.textContent = "🔒";
+      else badge.textContent = progress.completed ? `✓ ${stars}` : stars;
+      hotspot.append(world.name, badge);
+      const state = progress.unlocked
+        ? `${progress.completed ? "geschafft" : "offen"}, ${progress.total} Sterne`
+        : "gesperrt";
+      hotspot.setAttribute("aria-label", `${world.name}, ${state}`);
+      if (info) hotspot.setAttribute("aria-describedby", info.id);
+      if (progress.unlocked) {
+        hotspot.href = "./index.html";
+        hotspot.addEventListener("click", () => settings.set("world", world.id));
+      } else {
+        hotspot.type = "button";
+        hotspot.setAttribute("aria-disabled", "true");
+        hotspot.addEventListener("click", () => renderInfo(world, progress));
+      }
+      const show = () => renderInfo(world, progress);
+      hotspot.addEventListener("focus", show);
+      hotspot.addEventListener("mouseenter", show);
+      stage.appendChild(hotspot);
+    });
+    const current = worlds.get(settings.get("world")) || worlds.list()[0];
+    renderInfo(current, getProgress(current, sessions));
+  };
+
+  // Pfeiltasten springen von Hotspot zu Hotspot (links nach rechts), Pos1/Ende an den Rand.
+  stage.addEventListener("keydown", (event) => {
+    const hotspots = [...stage.querySelectorAll(".map-hotspot")];
+    const index = hotspots.indexOf(document.activeElement);
+    if (index < 0) return;
+    const targets = {
+      ArrowRight: index + 1,
+      ArrowDown: index + 1,
+      ArrowLeft: index - 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: hotspots.length - 1,
+    };
+    if (!(event.key in targets)) return;
+    event.preventDefault();
+    hotspots[clamp(targets[event.key], 0, hotspots.length - 1)].focus();
+  });
+
+  renderHotspots();
+  worlds.load().then(renderHotspots);
+};
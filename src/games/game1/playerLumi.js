@@ -0,0 +1,249 @@
+import { clamp } from "./util.js";
+import { lumiPhysics, lumiSprite } from "./constants.js";
+
+// -----------------------------
+// PlayerLumi: Steuerung & Physik
+// -----------------------------
+export class PlayerLumi {
+  constructor(audio, manifest = lumiSprite) {
+    this.audio = audio;
+    this.manifest = manifest;
+    this.frameWidth = 0;
+    this.frameHeight = 0;
+    this.spriteLoaded = false;
+    this.onLoad = null;
+    this.sprite = this.loadSheet(manifest.sources, (image) => {
+      this.frameWidth = Math.floor(image.width / manifest.columns);
+      this.frameHeight = Math.floor(image.height / manifest.rows);
+      this.spriteLoaded = true;
+      if (this.onLoad) this.onLoad();
+    });
+    this.layers = {};
+    this.outfit = {};
+    this.animation = "idle";
+    this.frameTime = 0;
+    this.frameIndex = 0;
+    this.worldWidth = 960;
+    this.reset();
+  }
+
+  // Lädt einen Bogen und probiert bei Fehlern die nächste Quelle.
+  loadSheet(sources, onLoad) {
+    const list = [].concat(sources);
+    const image = new Image();
+    let index = 0;
+    image.onload = () => onLoad(image);
+    image.onerror = () => {
+      index += 1;
+      if (index < list.length) image.src = list[index];
+    };
+    image.src = list[index];
+    return image;
+  }
+
+  // Outfit aus dem RewardShelf; eigene Bögen laut Manifest werden nachgeladen.
+  setOutfit(outfit) {
+    this.outfit = { ...outfit };
+    Object.values(this.outfit).forEach((reward) => {
+      const source = reward && this.manifest.layers[reward.id];
+      if (!source || this.layers[reward.id]) return;
+      const layer = { image: null, loaded: false };
+      layer.image = this.loadSheet(source, () => {
+        layer.loaded = true;
+        if (this.onLoad) this.onLoad();
+      });
+      this.layers[reward.id] = layer;
+    });
+  }
+
+  reset() {
+    this.x = 120;
+    this.y = 280;
+    this.vx = 0;
+    this.vy = 0;
+    this.width = lumiPhysics.width;
+    this.height = lumiPhysics.height;
+    this.onGround = false;
+    this.standingOn = null;
+    this.speed = lumiPhysics.speed;
+    this.jumpStrength = lumiPhysics.jumpStrength;
+    this.gravity = lumiPhysics.gravity;
+  }
+
+  update(dt, input, platforms, spawnPlatform) {
+    const move = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    this.vx = move * this.speed;
+    if (input.jump && this.onGround) {
+      this.vy = -this.jumpStrength;
+      this.onGround = false;
+      this.audio.jump();
+    }
+    // Auf bewegten Plattformen fährt Lumi mit.
+    if (this.onGround && this.standingOn) {
+      this.x += this.standingOn.deltaX || 0;
+      this.y += this.standingOn.deltaY || 0;
+    }
+    this.vy += this.gravity * dt;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+
+    this.onGround = false;
+    this.standingOn = null;
+    platforms.forEach((platform) => {
+      const withinX =
+        this.x + this.width > platform.x && this.x < platform.x + platform.width;
+      const hittingY =
+        this.y + this.height > platform.y &&
+        this.y + this.height < platform.y + platform.height + 8 &&
+        this.vy >= 0;
+      if (withinX && hittingY) {
+        this.y = platform.y - this.height;
+        this.vy = 0;
+        this.onGround = true;
+        this.standingOn = platform;
+      }
+    });
+
+    this.x = clamp(this.x, 20, this.worldWidth - 60);
+    if (this.y > 480 && spawnPlatform) {
+      this.x = spawnPlatform.x + spawnPlatform.width * 0.3;
+      this.y = spawnPlatform.y - this.height;
+      this.vy = 0;
+      this.onGround = true;
+    } else if (this.y > 460) {
+      this.y = 460;
+      this.vy = 0;
+      this.onGround = true;
+    }
+
+    this.updateAnimation(dt);
+  }
+
+  updateAnimation(dt) {
+    let name = "idle";
+    if (!this.onGround) name = "jump";
+    else if (Math.abs(this.vx) > 1) name = "run";
+    if (name !== this.animation) {
+      this.animation = name;
+      this.frameIndex = 0;
+      this.frameTime = 0;
+    }
+    const animation = this.manifest.animations[name];
+    if (!animation || animation.frames <= 1) return;
+    this.frameTime += dt;
+    if (this.frameTime >= animation.frameTime) {
+      this.frameTime = 0;
+      this.frameIndex = (this.frameIndex + 1) % animation.frames;
+    }
+  }
+
+  draw(ctx) {
+    const glow = this.outfit.glow;
+    if (this.spriteLoaded) {
+      const animation = this.manifest.animations[this.animation] || { row: 0 };
+      const frameWidth = this.frameWidth || 1;
+      const frameHeight = this.frameHeight || 1;
+      const sourceX = this.frameIndex * frameWidth;
+      const sourceY = animation.row * frameHeight;
+      const drawScale = this.height / frameHeight;
+      const drawWidth = frameWidth * drawScale;
+      const drawHeight = frameHeight * drawScale;
+      const drawX = this.x + this.width * 0.5 - drawWidth * 0.5;
+      const drawY = this.y + this.height - drawHeight;
+      const drawFrame = (image) =>
+        ctx.drawImage(
+          image,
+          sourceX,
+          sourceY,
+          frameWidth,
+          frameHeight,
+          drawX,
+          drawY,
+          drawWidth,
+          drawHeight
+        );
+
+      ctx.save();
+      ctx.imageSmoothingEnabled = true;
+      // Leuchtfarbe als getönter Schein um die Grundfiguren.
+      if (glow) {
+        ctx.shadowColor = `rgba(${glow.color}, 0.9)`;
+        ctx.shadowBlur = 16;
+      }
+      drawFrame(this.sprite);
+      ctx.shadowBlur = 0;
+      ["scarf", "hat"].forEach((slot) => {
+        const reward = this.outfit[slot];
+        const layer = reward && this.layers[reward.id];
+        if (layer && layer.loaded) drawFrame(layer.image);
+        else if (reward) this.drawAccessory(ctx, reward.id);
+      });
+      ctx.restore();
+      return;
+    }
+    const color = glow ? glow.color : "243,210,122";
+    ctx.save();
+    ctx.fillStyle = "rgba(243,210,122,0.9)";
+    ctx.shadowColor = `rgba(${color},0.6)`;
+    ctx.shadowBlur = 12;
+    ctx.beginPath();
+    ctx.roundRect(this.x, this.y, this.width, this.height, 12);
+    ctx.fill();
+    ctx.restore();
+    ["scarf", "hat"].forEach((slot) => {
+      if (this.outfit[slot]) this.drawAccessory(ctx, this.outfit[slot].id);
+    });
+  }
+
+  // Ersatz für Teile ohne eigenen Sprite-Bogen, schlicht über die Figur gezeichnet.
+  drawAccessory(ctx, id) {
+    const centerX = this.x + this.width * 0.5;
+    const top = this.y + 2;
+    ctx.save();
+    ctx.lineJoin = "round";
+    if (id === "zipfelmuetze") {
+      ctx.fillStyle = "#c9545d";
+      ctx.beginPath();
+      ctx.moveTo(centerX - 12, top + 4);
+      ctx.lineTo(centerX + 12, top + 4);
+      ctx.lineTo(centerX + 6, top - 16);
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillStyle = "#fff6ec";
+      ctx.fillRect(centerX - 13, top + 1, 26, 5);
+      ctx.beginPath();
+      ctx.arc(centerX + 6, top - 16, 4, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (id === "schal" || id === "ringelschal") {
+      const neckY = this.y + this.height * 0.55;
+      ctx.fillStyle = "#7fa6c7";
+      ctx.beginPath();
+      ctx.roundRect(centerX - 14, neckY, 28, 7, 3);
+      ctx.fill();
+      ctx.fillRect(centerX + 6, neckY + 4, 6, 12);
+      if (id === "ringelschal") {
+        ctx.fillStyle = "#e89a9a";
+        for (let stripe = -10; stripe < 14; stripe += 8) {
+          ctx.fillRect(centerX + stripe, neckY, 3, 7);
+        }
+        ctx.fillRect(centerX + 6, neckY + 10, 6, 3);
+      }
+    } else if (id === "krone") {
+      ctx.fillStyle = "#f3d27a";
+      ctx.strokeStyle = "rgba(120, 80, 20, 0.8)";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(centerX - 11, top + 4);
+      ctx.lineTo(centerX - 11, top - 8);
+      ctx.lineTo(centerX - 5, top - 2);
+      ctx.lineTo(centerX, top - 11);
+      ctx.lineTo(centerX + 5, top - 2);
+      ctx.lineTo(centerX + 11, top - 8);
+      ctx.lineTo(centerX + 11, top + 4);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,112 @@
+// -----------------------------
+// ProfileStore: Kinderprofile auf diesem Gerät
+// -----------------------------
+export class ProfileStore {
+  constructor() {
+    this.storageKey = "lumoland-profiles";
+    this.legacySettingsKey = "lumoland-settings";
+    this.colors = ["#f3d27a", "#7fa38b", "#7fa6c7", "#e89a9a", "#b59ad6"];
+    this.state = { activeId: null, profiles: [] };
+    this.load();
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      if (raw) this.state = { ...this.state, ...JSON.parse(raw) };
+    } catch (error) {
+      console.warn("Profiles load failed", error);
+    }
+    if (!this.state.profiles.length) {
+      this.add("Kind 1", this.colors[0]);
+    }
+    if (!this.getActive()) {
+      this.state.activeId = this.state.profiles[0].id;
+      this.save();
+    }
+    this.migrateLegacySettings();
+  }
+
+  // Alte Einzelnutzer-Daten gehören immer dem ersten Profil, egal welches gerade lädt.
+  migrateLegacySettings() {
+    const raw = localStorage.getItem(this.legacySettingsKey);
+    if (!raw) return;
+    const key = this.getSettingsKey(this.state.profiles[0].id);
+    if (!localStorage.getItem(key)) localStorage.setItem(key, raw);
+    localStorage.removeItem(this.legacySettingsKey);
+  }
+
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+  }
+
+  createId() {
+    return `p${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+  }
+
+  list() {
+    return this.state.profiles;
+  }
+
+  get(id) {
+    return this.state.profiles.find((profile) => profile.id === id) || null;
+  }
+
+  getActive() {
+    return this.get(this.state.activeId);
+  }
+
+  setActive(id) {
+    if (!this.state.profiles.some((profile) => profile.id === id)) return;
+    this.state.activeId = id;
+    this.save();
+  }
+
+  add(name, color) {
+    const profile = {
+      id: this.createId(),
+      name: String(name).trim().slice(0, 24) || "Kind",
+      color: this.colors.includes(color) ? color : this.colors[0],
+    };
+    this.state.profiles.push(profile);
+    if (!this.state.activeId) this.state.activeId = profile.id;
+    this.save();
+    return profile;
+  }
+
+  // Für den Import: vorhandenes Profil überschreiben oder neu anlegen.
+  upsert(profile) {
+    const entry = {
+      id: profile.id,
+      name: String(profile.name).trim().slice(0, 24) || "Kind",
+      color: this.colors.includes(profile.color) ? profile.color : this.colors[0],
+    };
+    const index = this.state.profiles.findIndex((item) => item.id === entry.id);
+    if (index >= 0) this.state.profiles.splice(index, 1, entry);
+    else this.state.profiles.push(entry);
+    this.save();
+    return entry;
+  }
+
+  remove(id) {
+    if (this.state.profiles.length <= 1) return;
+    this.state.profiles = this.state.profiles.filter((profile) => profile.id !== id);
+    localStorage.removeItem(this.getSettingsKey(id));
+    localStorage.removeItem(this.getEventsKey(id));
+    localStorage.removeItem(this.getReplayKey(id));
+    if (this.state.activeId === id) this.state.activeId = this.state.profiles[0].id;
+    this.save();
+  }
+
+  getSettingsKey(id) {
+    return `lumoland-settings:${id}`;
+  }
+
+  getEventsKey(id) {
+    return `lumoland-events:${id}`;
+  }
+
+  getReplayKey(id) {
+    return `lumoland-replay:${id}`;
+  }
+}
@@ -0,0 +1,170 @@
+// -----------------------------
+// ProgressBundle: Export & Import als Datei
+// -----------------------------
+export class ProgressBundle {
+  constructor(profiles) {
+    this.profiles = profiles;
+    this.format = "lumoland-progress";
+    this.version = 1;
+  }
+
+  readJson(key, fallback) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+      console.warn("Progress read failed", error);
+      return fallback;
+    }
+  }
+
+  create() {
+    return {
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      activeId: this.profiles.getActive().id,
+      profiles: this.profiles.list().map((profile) => ({
+        ...profile,
+        settings: this.readJson(this.profiles.getSettingsKey(profile.id), {}),
+        events: this.readJson(this.profiles.getEventsKey(profile.id), []),
+      })),
+    };
+  }
+
+  // Eine Zeile pro beantworteter Aufgabe, Semikolon-getrennt für Tabellenprogramme.
+  toCsv(bundle) {
+    const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+    const rows = [["Profil", "Datum", "Uhrzeit", "Aufgabe", "Antwort", "Richtig", "Sekunden"]];
+    bundle.profiles.forEach((profile) => {
+      profile.events
+        .filter((event) => event.type === "answer")
+        .forEach((event) => {
+          const date = new Date(event.t);
+          rows.push([
+            profile.name,
+            date.toLocaleDateString("de-DE"),
+            date.toLocaleTimeString("de-DE"),
+            event.prompt || event.key,
+            event.value,
+            event.correct ? "ja" : "nein",
+            (event.ms / 1000).toFixed(1).replace(".", ","),
+          ]);
+        });
+    });
+    return rows.map((row) => row.map(quote).join(";")).join("\r\n");
+  }
+
+  validate(data) {
+    const errors = [];
+    if (!data || typeof data !== "object") {
+      return ["Die Datei enthält keine Lumoland-Daten."];
+    }
+    if (data.format !== this.format) {
+      errors.push("Das ist keine Lumoland-Fortschrittsdatei.");
+    }
+    if (typeof data.version !== "number") {
+      errors.push("Die Versionsangabe fehlt.");
+    } else if (data.version > this.version) {
+      errors.push("Die Datei stammt aus einer neueren Lumoland-Version.");
+    }
+    if (!Array.isArray(data.profiles) || !data.profiles.length) {
+      errors.push("Die Datei enthält keine Profile.");
+      return errors;
+    }
+    data.profiles.forEach((profile, index) => {
+      const label = `Profil ${index + 1}`;
+      if (!profile || typeof profile.id !== "string" || !profile.id) {
+        errors.push(`${label}: Die Kennung fehlt.`);
+        return;
+      }
+      if (typeof profile.name !== "string" || !profile.name.trim()) {
+        errors.push(`${label}: Der Name fehlt.`);
+      }
+      const { settings } = profile;
+      if (!this.isPlainObject(settings)) {
+        errors.push(`${label}: Die Einstellungen fehlen.`);
+      } else {
+        // Listen, die Dashboard und Spiel beim Laden direkt durchlaufen.
+        ["sessions", "reviewQueue"].forEach((key) => {
+          if (key in settings && !Array.isArray(settings[key])) {
+            errors.push(`${label}: "${key}" ist keine Liste.`);
+          }
+        });
+      }
+      if (!Array.isArray(profile.events)) {
+        errors.push(`${label}: Das Ereignisprotokoll fehlt.`);
+      } else {
+        const broken = profile.events.findIndex((event) => !this.isValidEvent(event));
+        if (broken >= 0) {
+          errors.push(`${label}: Ereignis ${broken + 1} ist unvollständig.`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+
+  // Jedes Ereignis braucht Art und Zeitpunkt; Antworten zusätzlich ihre Dauer für den CSV-Export.
+  isValidEvent(event) {
+    if (!this.isPlainObject(event)) return false;
+    if (typeof event.type !== "string" || !Number.isFinite(event.t)) return false;
+    return event.type !== "answer" || Number.isFinite(event.ms);
+  }
+
+  import(text) {
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return {
+        ok: false,
+        errors: ["Die Datei konnte nicht gelesen werden (kein gültiges JSON)."],
+      };
+    }
+    const errors = this.validate(data);
+    if (errors.length) return { ok: false, errors };
+    // Vorher-Stand merken: Ist der Speicher mittendrin voll, wird alles zurückgesetzt.
+    const keys = data.profiles.flatMap((profile) => [
+      this.profiles.getSettingsKey(profile.id),
+      this.profiles.getEventsKey(profile.id),
+    ]);
+    const backup = {
+      profiles: JSON.parse(JSON.stringify(this.profiles.state)),
+      values: keys.map((key) => [key, localStorage.getItem(key)]),
+    };
+    try {
+      data.profiles.forEach((profile) => {
+        const entry = this.profiles.upsert(profile);
+        const settingsKey = this.profiles.getSettingsKey(entry.id);
+        const eventsKey = this.profiles.getEventsKey(entry.id);
+        localStorage.setItem(settingsKey, JSON.stringify(profile.settings));
+        localStorage.setItem(eventsKey, JSON.stringify(profile.events));
+      });
+    } catch (error) {
+      console.warn("Progress import failed", error);
+      this.restore(backup);
+      return {
+        ok: false,
+        errors: ["Der Speicher ist voll. Der Import wurde rückgängig gemacht."],
+      };
+    }
+    return { ok: true, errors: [], count: data.profiles.length };
+  }
+
+  restore(backup) {
+    try {
+      backup.values.forEach(([key, value]) => {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+      });
+      this.profiles.state = backup.profiles;
+      this.profiles.save();
+    } catch (error) {
+      console.warn("Progress restore failed", error);
+    }
+  }
+}
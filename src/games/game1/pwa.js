@@ -0,0 +1,54 @@
+// -----------------------------
+// Offline: Service Worker & Hinweis auf neue Version
+// -----------------------------
+export const initServiceWorker = () => {
+  // sw.js entsteht erst beim Build; im Dev-Server bleibt alles ungecacht.
+  if (!("serviceWorker" in navigator) || import.meta.env.DEV) return;
+  let updateRequested = false;
+  // Neu laden nur nach dem Klick, nicht bei der allerersten Installation.
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updateRequested) window.location.reload();
+  });
+
+  const showPrompt = (worker) => {
+    if (document.querySelector(".update-toast")) return;
+    const toast = document.createElement("div");
+    toast.className = "update-toast card";
+    toast.setAttribute("role", "status");
+    const text = document.createElement("p");
+    text.textContent = "Neue Version verfügbar";
+    const reload = document.createElement("button");
+    reload.type = "button";
+    reload.className = "btn btn--primary";
+    reload.textContent = "Jetzt laden";
+    reload.addEventListener("click", () => {
+      updateRequested = true;
+      reload.disabled = true;
+      worker.postMessage("skip-waiting");
+    });
+    const later = document.createElement("button");
+    later.type = "button";
+    later.className = "btn btn--ghost";
+    later.textContent = "Später";
+    later.addEventListener("click", () => toast.remove());
+    toast.append(text, reload, later);
+    document.body.appendChild(toast);
+  };
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      const hasController = () => Boolean(navigator.serviceWorker.controller);
+      if (registration.waiting && hasController()) showPrompt(registration.waiting);
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed" && hasController()) showPrompt(worker);
+        });
+      });
+    })
+    .catch((error) => {
+      console.warn("Service worker registration failed", error);
+    });
+};
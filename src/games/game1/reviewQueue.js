@@ -0,0 +1,75 @@
+// -----------------------------
+// ReviewQueue: Wiederholung nach Leitner-Kästen
+// -----------------------------
+export class ReviewQueue {
+  constructor(settings) {
+    this.settings = settings;
+    // Pro Kasten: Abstand in Aufgaben und Mindestabstand in Millisekunden.
+    const day = 24 * 60 * 60 * 1000;
+    this.boxes = [
+      { tasks: 2, ms: 0 },
+      { tasks: 5, ms: 0 },
+      { tasks: 8, ms: day },
+      { tasks: 8, ms: 3 * day },
+    ];
+    this.maxItems = 50;
+    // Das Spiel setzt hier seine Rundenzeit ein, damit nachgespielte Runden gleich verlaufen.
+    this.timeSource = () => Date.now();
+  }
+
+  getItems() {
+    return this.settings.get("reviewQueue") || [];
+  }
+
+  getClock() {
+    return this.settings.get("reviewClock") || 0;
+  }
+
+  tick() {
+    this.settings.set("reviewClock", this.getClock() + 1);
+  }
+
+  schedule(item, box) {
+    const interval = this.boxes[box];
+    return {
+      ...item,
+      box,
+      dueTask: this.getClock() + interval.tasks,
+      dueAt: this.timeSource() + interval.ms,
+    };
+  }
+
+  save(items) {
+    this.settings.set("reviewQueue", items.slice(-this.maxItems));
+  }
+
+  takeDue(grade) {
+    const clock = this.getClock();
+    const timestamp = this.timeSource();
+    const due = this.getItems().find(
+      (item) => item.grade === grade && item.dueTask <= clock && item.dueAt <= timestamp
+    );
+    if (!due) return null;
+    return { ...due.task, review: true };
+  }
+
+  // Fehler: zurück in den ersten Kasten. Richtig beim ersten Versuch: einen Kasten weiter.
+  record(task, correct, grade) {
+    if (!task || !task.key) return;
+    const items = this.getItems();
+    const index = items.findIndex((item) => item.key === task.key && item.grade === grade);
+    if (!correct) {
+      const { review, missed, ...snapshot } = task;
+      const item = this.schedule({ key: task.key, grade, task: snapshot }, 0);
+      if (index >= 0) items.splice(index, 1, item);
+      else items.push(item);
+      this.save(items);
+      return;
+    }
+    if (index < 0 || task.missed) return;
+    const nextBox = items[index].box + 1;
+    if (nextBox >= this.boxes.length) items.splice(index, 1);
+    else items.splice(index, 1, this.schedule(items[index], nextBox));
+    this.save(items);
+  }
+}
@@ -0,0 +1,81 @@
+import { defaultFireflyColor, rewardCatalog, wardrobeSlots } from "./constants.js";
+
+// -----------------------------
+// RewardShelf: gesammelte Sterne & Belohnungen pro Profil
+// -----------------------------
+export class RewardShelf {
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  getState() {
+    const state = this.settings.get("rewards") || {};
+    const result = {
+      stars: state.stars || 0,
+      unlocked: Array.isArray(state.unlocked) ? state.unlocked : [],
+    };
+    Object.keys(wardrobeSlots).forEach((slot) => {
+      result[slot] = state[slot] || null;
+    });
+    // Frühere Stände kannten nur ein einzelnes Accessoire.
+    const legacy = rewardCatalog.find((reward) => reward.id === state.accessory);
+    if (legacy && !result[legacy.type]) result[legacy.type] = legacy.id;
+    return result;
+  }
+
+  get(id) {
+    return rewardCatalog.find((reward) => reward.id === id) || null;
+  }
+
+  list() {
+    const { unlocked } = this.getState();
+    return rewardCatalog.filter((reward) => unlocked.includes(reward.id));
+  }
+
+  // Sterne gutschreiben; neu erreichte Belohnungen werden gleich angelegt.
+  award(stars) {
+    const state = this.getState();
+    state.stars += Math.max(0, stars);
+    const fresh = rewardCatalog.filter(
+      (reward) => reward.stars <= state.stars && !state.unlocked.includes(reward.id)
+    );
+    fresh.forEach((reward) => {
+      state.unlocked.push(reward.id);
+      state[reward.type] = reward.id;
+    });
+    this.settings.set("rewards", state);
+    return fresh;
+  }
+
+  getNext() {
+    const { stars } = this.getState();
+    return rewardCatalog.find((reward) => reward.stars > stars) || null;
+  }
+
+  // Nur freigeschaltete Teile lassen sich anziehen; null zieht das Teil wieder aus.
+  equip(slot, id) {
+    if (!wardrobeSlots[slot]) return false;
+    const state = this.getState();
+    const reward = this.get(id);
+    if (id !== null && (!reward || reward.type !== slot || !state.unlocked.includes(id))) {
+      return false;
+    }
+    state[slot] = id;
+    this.settings.set("rewards", state);
+    return true;
+  }
+
+  getOutfit() {
+    const state = this.getState();
+    const outfit = {};
+    Object.keys(wardrobeSlots).forEach((slot) => {
+      outfit[slot] = this.get(state[slot]);
+    });
+    return outfit;
+  }
+
+  getFireflyColor() {
+    const reward = this.getOutfit().firefly;
+    return reward ? reward.color : defaultFireflyColor;
+  }
+}
@@ -0,0 +1,58 @@
+// -----------------------------
+// Rng: Zufall mit Startwert für nachspielbare Runden
+// -----------------------------
+export class Rng {
+  constructor(seed = Rng.createSeed()) {
+    this.seed = String(seed);
+    this.state = Rng.hash(this.seed);
+  }
+
+  static createSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+  }
+
+  // ?seed=klasse3b oder ?seed=12345; leere oder fehlende Angabe würfelt einen neuen Wert.
+  static fromSearch(search) {
+    const value = new URLSearchParams(search).get("seed");
+    const seed = value ? value.trim().slice(0, 32) : "";
+    return new Rng(seed || Rng.createSeed());
+  }
+
+  // FNV-1a, damit auch Wörter als Startwert taugen.
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // mulberry32: Zahl in [0, 1) wie Math.random().
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  shuffle(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(this.next() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  // Eigener Strom je Verbraucher aus demselben Startwert: Glühwürmchen, die jedes Bild
+  // würfeln, verschieben so nicht die Aufgaben oder Plattformen.
+  fork(label) {
+    return new Rng(`${this.seed}:${label}`);
+  }
+}
@@ -0,0 +1,76 @@
+import { defaultWorld } from "./constants.js";
+
+// -----------------------------
+// SessionRecorder: Zusammenfassung jeder Spielrunde
+// -----------------------------
+export class SessionRecorder {
+  constructor(settings) {
+    this.settings = settings;
+    this.maxSessions = 100;
+    this.session = null;
+  }
+
+  start(world = defaultWorld.id) {
+    this.session = {
+      id: Date.now(),
+      grade: this.settings.get("grade"),
+      world,
+      startedAt: Date.now(),
+      lastActiveAt: Date.now(),
+      tasks: 0,
+      attempts: 0,
+      correct: 0,
+      firstTry: 0,
+      hints: 0,
+      missed: {},
+      completed: false,
+    };
+  }
+
+  recordAnswer(task, correct) {
+    if (!this.session || !task) return;
+    const session = this.session;
+    session.attempts += 1;
+    session.lastActiveAt = Date.now();
+    if (correct) {
+      session.correct += 1;
+      session.tasks += 1;
+      if (!task.missed) session.firstTry += 1;
+    } else {
+      const label = task.type === "count" ? `${task.count} zählen` : task.prompt;
+      session.missed[label] = (session.missed[label] || 0) + 1;
+    }
+    this.save();
+  }
+
+  recordHint() {
+    if (!this.session) return;
+    this.session.hints += 1;
+    this.save();
+  }
+
+  complete() {
+    if (!this.session) return;
+    this.session.completed = true;
+    this.session.lastActiveAt = Date.now();
+    this.save();
+  }
+
+  // Ein Stern fürs Ankommen, mehr für Treffer beim ersten Versuch und wenige Tipps.
+  getStars(session = this.session) {
+    if (!session || !session.completed) return 0;
+    const firstTryRatio = session.tasks ? session.firstTry / session.tasks : 0;
+    const hintsPerTask = session.tasks ? session.hints / session.tasks : 0;
+    if (firstTryRatio >= 0.9 && hintsPerTask <= 0.1) return 3;
+    if (firstTryRatio >= 0.6 && hintsPerTask <= 0.5) return 2;
+    return 1;
+  }
+
+  save() {
+    const sessions = (this.settings.get("sessions") || []).filter(
+      (entry) => entry.id !== this.session.id
+    );
+    sessions.push({ ...this.session, missed: { ...this.session.missed } });
+    this.settings.set("sessions", sessions.slice(-this.maxSessions));
+  }
+}
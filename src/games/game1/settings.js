@@ -0,0 +1,69 @@
+import { defaultWorld } from "./constants.js";
+import { ProfileStore } from "./profileStore.js";
+
+// -----------------------------
+// Settings: persistente Optionen
+// -----------------------------
+export class Settings {
+  constructor(profiles = new ProfileStore(), profileId = null) {
+    this.profiles = profiles;
+    this.profile = (profileId && profiles.get(profileId)) || profiles.getActive();
+    this.storageKey = profiles.getSettingsKey(this.profile.id);
+    // Beim Nachspielen einer Runde bleibt alles nur im Speicher.
+    this.persist = true;
+    this.state = {
+      grade: "count-10",
+      difficulty: "fixed",
+      answerMode: "keypad",
+      levelLength: "short",
+      world: defaultWorld.id,
+      wordProblems: true,
+      gapRatios: {},
+      mute: false,
+      ttsAuto: true,
+      factStats: {},
+      reviewQueue: [],
+      reviewClock: 0,
+      sessions: [],
+      rewards: { stars: 0, unlocked: [], firefly: null, hat: null, scarf: null, glow: null },
+    };
+    this.load();
+  }
+
+  normalizeGrade(value) {
+    const legacyMap = {
+      pre: "count-10",
+      "1-2": "addsub-10",
+      "3-4": "addsub-100",
+      "5-6": "mult-10",
+    };
+    if (legacyMap[value]) return legacyMap[value];
+    return value || "count-10";
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      if (raw) {
+        this.state = { ...this.state, ...JSON.parse(raw) };
+      }
+      this.state.grade = this.normalizeGrade(this.state.grade);
+    } catch (error) {
+      console.warn("Settings load failed", error);
+    }
+  }
+
+  save() {
+    if (!this.persist) return;
+    localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+  }
+
+  set(key, value) {
+    this.state[key] = value;
+    this.save();
+  }
+
+  get(key) {
+    return this.state[key];
+  }
+}
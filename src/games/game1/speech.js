@@ -0,0 +1,63 @@
+// -----------------------------
+// Speech: Web Speech Wrapper
+// -----------------------------
+export class Speech {
+  constructor(settings) {
+    this.settings = settings;
+    this.available = "speechSynthesis" in window;
+    this.voice = null;
+    this.lumiVoice = [
+      "Hilfst du mir?",
+      "Fast! Lass uns nochmal schauen.",
+      "Wow! Jetzt leuchtet der Wald ✨",
+    ];
+    if (this.available) {
+      window.speechSynthesis.onvoiceschanged = () => this.loadVoice();
+      this.loadVoice();
+    }
+  }
+
+  loadVoice() {
+    if (!this.available) return;
+    const voices = window.speechSynthesis.getVoices();
+    this.voice = voices.find((v) => v.lang === "de-DE") || voices[0];
+  }
+
+  speak(text) {
+    if (!this.available || this.settings.get("mute")) return false;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = "de-DE";
+    if (this.voice) utterance.voice = this.voice;
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+    return true;
+  }
+
+  speakLumi(index = 0) {
+    const sentence = this.lumiVoice[index % this.lumiVoice.length];
+    return this.speak(sentence);
+  }
+
+  toWord(value) {
+    const words = {
+      "+": "plus",
+      "-": "minus",
+      "×": "mal",
+      "÷": "geteilt durch",
+      "=": "gleich",
+      "□": "wie viel",
+    };
+    return words[value] || value;
+  }
+
+  speakTask(task) {
+    if (!task) return false;
+    if (task.speech) return this.speak(task.speech);
+    return this.speak(
+      task.prompt
+        .split(" ")
+        .map((part) => this.toWord(part))
+        .join(" ")
+    );
+  }
+}
@@ -0,0 +1,157 @@
+// -----------------------------
+// UI: Bedienung & Gamebindung
+// -----------------------------
+export class UI {
+  constructor(game, settings, speech) {
+    this.game = game;
+    this.settings = settings;
+    this.speech = speech;
+    this.keypad = document.getElementById("keypad");
+    this.answerInput = document.getElementById("answer-input");
+    this.muteToggle = document.getElementById("mute-toggle");
+    this.speakBtn = document.getElementById("speak-btn");
+    this.showMeBtn = document.getElementById("show-me-btn");
+    this.photoBtn = document.getElementById("photo-btn");
+    this.touchButtons = document.querySelectorAll(".touch-btn");
+    this.inputValue = "";
+    this.keypadLayout = "";
+  }
+
+  init() {
+    if (this.muteToggle) {
+      this.muteToggle.checked = this.settings.get("mute");
+      this.muteToggle.addEventListener("change", () => {
+        this.settings.set("mute", this.muteToggle.checked);
+        this.game.audio.setMute(this.muteToggle.checked);
+      });
+    }
+
+    if (this.keypad) this.buildKeypad();
+    if (this.settings.get("answerMode") === "choice") {
+      if (this.keypad) this.keypad.hidden = true;
+      if (this.answerInput) this.answerInput.hidden = true;
+    }
+    this.game.onTaskChange = (task) => {
+      this.inputValue = "";
+      if (this.answerInput) this.answerInput.textContent = " ";
+      this.game.currentAnswerText = "";
+      if (this.keypad) this.buildKeypad(task);
+    };
+    this.game.onReplayKey = (key) => this.handleKey(key);
+
+    if (this.speakBtn) {
+      this.speakBtn.addEventListener("click", () => {
+        this.speech.speakTask(this.game.currentTask);
+      });
+    }
+
+    if (this.showMeBtn) {
+      this.showMeBtn.addEventListener("click", () => {
+        if (this.game.recordInput("show-me")) this.game.showManipulative();
+      });
+    }
+
+    if (this.photoBtn) {
+      this.photoBtn.addEventListener("click", () => this.game.takePhoto());
+      window.addEventListener("keydown", (event) => {
+        if (event.key.toLowerCase() === "p") this.game.takePhoto();
+      });
+    }
+
+    window.addEventListener("keydown", (event) => {
+      if (!this.game.taskActive) return;
+      if (event.key === "Enter") {
+        event.preventDefault();
+        this.pressKey("OK");
+        return;
+      }
+      if (event.key === "Backspace") {
+        event.preventDefault();
+        this.pressKey("←");
+        return;
+      }
+      if (this.isSymbolTask()) {
+        if (event.key === "<" || event.key === ">") this.pressKey(event.key);
+        return;
+      }
+      if (event.key === "-" && this.settings.get("grade") === "under-zero") {
+        this.pressKey("-");
+        return;
+      }
+      if (/^\d$/.test(event.key)) {
+        this.pressKey(event.key);
+      }
+    });
+
+    this.touchButtons.forEach((button) => {
+      const action = button.dataset.action;
+      const setState = (state) => {
+        this.game.setInput(action, state);
+      };
+      button.addEventListener("pointerdown", () => setState(true));
+      button.addEventListener("pointerup", () => setState(false));
+      button.addEventListener("pointerleave", () => setState(false));
+    });
+  }
+
+  isSymbolTask(task = this.game.currentTask) {
+    return Boolean(task && task.answerType === "symbol");
+  }
+
+  getKeypadKeys(task) {
+    if (this.isSymbolTask(task)) return ["<", ">", "←", "OK"];
+    const keys = ["7", "8", "9", "4", "5", "6", "1", "2", "3", "0", "←", "OK"];
+    if (this.settings.get("grade") === "under-zero") {
+      keys.splice(9, 0, "-");
+    }
+    return keys;
+  }
+
+  buildKeypad(task = null) {
+    const keys = this.getKeypadKeys(task);
+    const layout = keys.join(" ");
+    if (layout === this.keypadLayout) return;
+    this.keypadLayout = layout;
+    this.keypad.innerHTML = "";
+    keys.forEach((key) => {
+      const btn = document.createElement("button");
+      btn.textContent = key;
+      if (key === "OK") btn.classList.add("secondary");
+      btn.addEventListener("click", () => this.pressKey(key));
+      this.keypad.appendChild(btn);
+    });
+  }
+
+  // Echte Tastendrücke: aufnehmen und anwenden, in der Wiedergabe ignorieren.
+  pressKey(key) {
+    if (this.game.recordInput("key", { key })) this.handleKey(key);
+  }
+
+  handleKey(key) {
+    if (!this.answerInput) return;
+    if (key === "-") {
+      if (this.inputValue.startsWith("-")) {
+        this.inputValue = this.inputValue.slice(1);
+      } else {
+        this.inputValue = `-${this.inputValue}`;
+      }
+      this.answerInput.textContent = this.inputValue || " ";
+      this.game.currentAnswerText = this.inputValue;
+      return;
+    }
+    if (key === "<" || key === ">") {
+      this.inputValue = key;
+    } else if (key === "←") {
+      this.inputValue = this.inputValue.slice(0, -1);
+    } else if (key === "OK") {
+      // Ohne Zahl zählt OK weder als Antwort noch als Fehlversuch.
+      if (this.inputValue === "" || this.inputValue === "-") return;
+      const isCorrect = this.game.checkAnswer(this.inputValue);
+      if (isCorrect) this.inputValue = "";
+    } else {
+      this.inputValue += key;
+    }
+    this.answerInput.textContent = this.inputValue || " ";
+    this.game.currentAnswerText = this.inputValue;
+  }
+}
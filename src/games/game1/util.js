@@ -0,0 +1,54 @@
+// -----------------------------
+// Hilfsfunktionen
+// -----------------------------
+export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const lerp = (a, b, t) => a + (b - a) * t;
+
+export const prefersReducedMotion = () =>
+  window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+export const now = () => performance.now();
+
+export const formatTimestamp = (date) => {
+  const pad = (num) => String(num).padStart(2, "0");
+  return (
+    date.getFullYear() +
+    pad(date.getMonth() + 1) +
+    pad(date.getDate()) +
+    "_" +
+    pad(date.getHours()) +
+    pad(date.getMinutes()) +
+    pad(date.getSeconds())
+  );
+};
+
+export const getPalette = () => {
+  const styles = getComputedStyle(document.documentElement);
+  return {
+    nightBg: styles.getPropertyValue("--night-bg").trim(),
+    nightBg2: styles.getPropertyValue("--night-bg-2").trim(),
+    nightPrimary: styles.getPropertyValue("--night-primary").trim(),
+    accentWarm: styles.getPropertyValue("--accent-warm").trim(),
+    accentGreen: styles.getPropertyValue("--accent-green").trim(),
+    cream: styles.getPropertyValue("--cream").trim(),
+    textSoft: styles.getPropertyValue("--text-soft").trim(),
+  };
+};
+
+export const mixColors = (colorA, colorB, t) => {
+  const parse = (hex) => {
+    const cleaned = hex.replace("#", "");
+    return {
+      r: parseInt(cleaned.slice(0, 2), 16),
+      g: parseInt(cleaned.slice(2, 4), 16),
+      b: parseInt(cleaned.slice(4, 6), 16),
+    };
+  };
+  const a = parse(colorA);
+  const b = parse(colorB);
+  const r = Math.round(lerp(a.r, b.r, t));
+  const g = Math.round(lerp(a.g, b.g, t));
+  const bVal = Math.round(lerp(a.b, b.b, t));
+  return `rgb(${r}, ${g}, ${bVal})`;
+};
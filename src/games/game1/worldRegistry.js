@@ -0,0 +1,89 @@
+import { defaultWorld } from "./constants.js";
+
+// -----------------------------
+// WorldRegistry: Welten als Daten
+// -----------------------------
+export class WorldRegistry {
+  constructor(basePath = "data/welten") {
+    this.basePath = basePath;
+    this.worlds = [defaultWorld];
+  }
+
+  // index.json listet die installierten Welten; fehlt sie, bleibt es beim Wald.
+  load() {
+    return fetch(`${this.basePath}/index.json`)
+      .then((response) => (response.ok ? response.json() : { worlds: [] }))
+      .then((index) => {
+        const ids = Array.isArray(index.worlds) ? index.worlds : [];
+        return Promise.all(ids.map((id) => this.loadWorld(id)));
+      })
+      .then((worlds) => {
+        worlds.filter(Boolean).forEach((world) => this.add(world));
+        return this.worlds;
+      })
+      .catch((error) => {
+        console.warn("Worlds load failed", error);
+        return this.worlds;
+      });
+  }
+
+  loadWorld(id) {
+    return fetch(`${this.basePath}/${id}.json`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => this.normalize(data))
+      .catch((error) => {
+        console.warn(`World ${id} load failed`, error);
+        return null;
+      });
+  }
+
+  // Fehlende Angaben werden ergänzt, damit auch eine knappe Definition spielbar ist.
+  normalize(data) {
+    if (!data || typeof data.id !== "string" || typeof data.name !== "string") return null;
+    const isText = (value) => typeof value === "string" && value;
+    return {
+      ...defaultWorld,
+      ...data,
+      backgrounds: Array.isArray(data.backgrounds) ? data.backgrounds.filter(isText) : [],
+      colors: data.colors || null,
+      platform: { ...defaultWorld.platform, ...data.platform },
+      completion: { image: null, text: "Geschafft!", ...data.completion },
+      lumi: { ...defaultWorld.lumi, ...data.lumi },
+      ambient: { ...defaultWorld.ambient, ...data.ambient },
+      map: { ...defaultWorld.map, ...data.map },
+      requires: isText(data.requires) ? data.requires : null,
+    };
+  }
+
+  add(world) {
+    const index = this.worlds.findIndex((entry) => entry.id === world.id);
+    if (index >= 0) this.worlds.splice(index, 1, world);
+    else this.worlds.push(world);
+  }
+
+  list() {
+    return this.worlds;
+  }
+
+  get(id) {
+    return this.worlds.find((world) => world.id === id) || null;
+  }
+
+  // Runden von vor den Welten gehören zum Wald.
+  getCompleted(sessions) {
+    const ids = sessions
+      .filter((session) => session.completed)
+      .map((session) => session.world || defaultWorld.id);
+    return [...new Set(ids)];
+  }
+
+  isUnlocked(world, sessions) {
+    return !world.requires || this.getCompleted(sessions).includes(world.requires);
+  }
+
+  pick(id, sessions) {
+    const world = this.get(id);
+    if (world && this.isUnlocked(world, sessions)) return world;
+    return this.worlds[0];
+  }
+}
@@ -1,4 +1,10 @@
 /*
   Haupt-Einstieg der Website.
-  Das Spiel „Lumoland – Glühwürmchen-Jagd“ liegt in: src/games/game1.js
+  Das Spiel „Lumoland – Glühwürmchen-Jagd“ startet über src/games/game1.js,
+  seine Bausteine liegen als Module in src/games/game1/.
 */
+
+import { initServiceWorker } from "./games/game1/pwa.js";
+
+// Schon die Startseite legt den Offline-Cache an.
+initServiceWorker();
@@ -0,0 +1,46 @@
+/*
+  Lumoland – Service Worker
+  Version und Dateiliste setzt der Vite-Build ein (siehe vite.config.js).
+*/
+
+const CACHE_VERSION = "__LUMO_VERSION__";
+const PRECACHE = __LUMO_PRECACHE__;
+const CACHE_NAME = `lumoland-${CACHE_VERSION}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE)));
+});
+
+// Alte Versionen aufräumen, sobald die neue übernimmt.
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("lumoland-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Erst aus dem Cache, sonst übers Netz. Seiten ignorieren ?level= und ähnliche Parameter.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  const ignoreSearch = request.mode === "navigate";
+  event.respondWith(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.match(request, { ignoreSearch }))
+      .then((cached) => cached || fetch(request))
+  );
+});
+
+// Die Seite fragt nach, bevor eine wartende Version übernimmt.
+self.addEventListener("message", (event) => {
+  if (event.data === "skip-waiting") self.skipWaiting();
+});
@@ -0,0 +1,20 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeStorage } from "./helpers/fakeStorage.js";
+import { Settings } from "../src/games/game1/settings.js";
+import { EventLog } from "../src/games/game1/eventLog.js";
+
+let storage;
+beforeEach(() => {
+  storage = installFakeStorage();
+});
+
+test("Voller Speicher bringt das Protokoll nicht zum Absturz", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const log = new EventLog(new Settings());
+  storage.setItem = () => {
+    throw new Error("QuotaExceededError");
+  };
+  assert.doesNotThrow(() => log.record("answer", { correct: true }));
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,32 @@
+// -----------------------------
+// Minimales Browser-Umfeld, damit Game ohne DOM rechnen kann (gezeichnet wird nicht)
+// -----------------------------
+export const installFakeBrowser = ({ search = "" } = {}) => {
+  const listeners = {};
+  const browser = {
+    reducedMotion: false,
+    dispatch: (type, event = {}) => (listeners[type] || []).forEach((fn) => fn(event)),
+  };
+  globalThis.window = {
+    location: { search, href: "" },
+    matchMedia: () => ({ matches: browser.reducedMotion }),
+    addEventListener: (type, fn) => (listeners[type] ||= []).push(fn),
+  };
+  globalThis.document = {
+    documentElement: {},
+    querySelector: () => null,
+    getElementById: () => null,
+    createElement: () => ({}),
+  };
+  globalThis.getComputedStyle = () => ({ getPropertyValue: () => "" });
+  globalThis.Image = class {};
+  globalThis.requestAnimationFrame = () => 0;
+  return browser;
+};
+
+// Leinwand, die jeden Zeichenbefehl schluckt.
+export const createFakeCanvas = () => {
+  const canvas = { width: 960, height: 540, addEventListener: () => {} };
+  canvas.getContext = () => new Proxy({ canvas }, { get: (ctx, key) => ctx[key] ?? (() => {}) });
+  return canvas;
+};
@@ -0,0 +1,20 @@
+// -----------------------------
+// Fake-localStorage für Tests ohne Browser
+// -----------------------------
+export const createFakeStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    clear: () => data.clear(),
+    keys: () => [...data.keys()],
+  };
+};
+
+// Setzt den Speicher global, so wie ihn ProfileStore und Settings erwarten.
+export const installFakeStorage = (initial = {}) => {
+  const storage = createFakeStorage(initial);
+  globalThis.localStorage = storage;
+  return storage;
+};
@@ -0,0 +1,76 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeStorage } from "./helpers/fakeStorage.js";
+import { ProfileStore } from "../src/games/game1/profileStore.js";
+import { Settings } from "../src/games/game1/settings.js";
+import { InputRecorder } from "../src/games/game1/inputRecorder.js";
+
+let storage;
+beforeEach(() => {
+  storage = installFakeStorage();
+});
+
+const recordRun = (settings) => {
+  const recorder = new InputRecorder(settings);
+  recorder.begin({ seed: "klasse3b", world: "wald", settings: { grade: "addsub-10" } });
+  recorder.record(0, "input", { action: "right", state: true });
+  recorder.record(12, "input", { action: "jump", state: true });
+  recorder.record(12, "key", { key: "7" });
+  recorder.record(40, "key", { key: "OK" });
+  recorder.finish(90);
+  return recorder;
+};
+
+test("Ohne laufende Aufnahme werden Eingaben abgelehnt", () => {
+  const recorder = new InputRecorder(new Settings());
+  assert.equal(recorder.record(0, "key", { key: "1" }), false);
+  recorder.begin({ seed: "x" });
+  assert.equal(recorder.record(3, "key", { key: "1" }), true);
+  assert.deepEqual(recorder.recording.events, [{ frame: 3, type: "key", key: "1" }]);
+});
+
+test("Aufnahme landet pro Profil im Speicher", () => {
+  const profiles = new ProfileStore();
+  const anna = profiles.add("Anna");
+  const ben = profiles.add("Ben");
+  recordRun(new Settings(profiles, anna.id));
+  const loaded = new InputRecorder(new Settings(profiles, anna.id)).load();
+  assert.equal(loaded.seed, "klasse3b");
+  assert.equal(loaded.frames, 90);
+  assert.equal(loaded.events.length, 4);
+  assert.equal(new InputRecorder(new Settings(profiles, ben.id)).load(), null);
+  profiles.remove(anna.id);
+  assert.equal(storage.getItem(profiles.getReplayKey(anna.id)), null);
+});
+
+test("Wiedergabe liefert Eingaben genau zu ihrem Schritt", () => {
+  const settings = new Settings();
+  const recorder = new InputRecorder(settings);
+  recorder.play(recordRun(settings).load());
+  assert.deepEqual(recorder.take(0).map((entry) => entry.action), ["right"]);
+  assert.deepEqual(recorder.take(11), []);
+  assert.deepEqual(recorder.take(12).map((entry) => entry.type), ["input", "key"]);
+  assert.equal(recorder.record(20, "key", { key: "1" }), false);
+  assert.equal(recorder.isFinished(89), false);
+  assert.deepEqual(recorder.take(89).map((entry) => entry.key), ["OK"]);
+  assert.equal(recorder.isFinished(90), true);
+});
+
+test("Kaputte Aufnahmen werden ignoriert", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const settings = new Settings();
+  const recorder = new InputRecorder(settings);
+  storage.setItem(recorder.storageKey, "{kaputt");
+  assert.equal(recorder.load(), null);
+  assert.equal(warn.mock.callCount(), 1);
+  storage.setItem(recorder.storageKey, JSON.stringify({ version: 2, events: [] }));
+  assert.equal(recorder.load(), null);
+});
+
+test("Beim Nachspielen schreiben die Einstellungen nichts zurück", () => {
+  const settings = new Settings();
+  settings.persist = false;
+  settings.set("grade", "mult-10");
+  assert.equal(settings.get("grade"), "mult-10");
+  assert.equal(new Settings().get("grade"), "count-10");
+});
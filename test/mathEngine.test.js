@@ -0,0 +1,221 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { installFakeStorage } from "./helpers/fakeStorage.js";
+import { MathEngine } from "../src/games/game1/mathEngine.js";
+import { Settings } from "../src/games/game1/settings.js";
+import { gradeLabels } from "../src/games/game1/constants.js";
+
+// Zufallsaufgaben: jede Prüfung läuft über viele Durchgänge.
+const runs = 400;
+const repeat = (fn) => {
+  for (let i = 0; i < runs; i += 1) fn(i);
+};
+
+const calculate = { "+": (a, b) => a + b, "-": (a, b) => a - b, "×": (a, b) => a * b };
+
+// Rechenaufgaben müssen aufgehen: ganzzahlig, Division ohne Rest.
+const assertArithmetic = (task) => {
+  const [a, b] = task.operands;
+  assert.ok(Number.isInteger(a) && Number.isInteger(b), `Operanden ${task.key}`);
+  if (task.op === "÷") {
+    assert.notEqual(b, 0, `Teiler 0 in ${task.key}`);
+    assert.equal(a % b, 0, `Division mit Rest: ${task.key}`);
+  }
+  const result = task.op === "÷" ? a / b : calculate[task.op](a, b);
+  const expected = task.type === "gap" ? task.result : task.answer;
+  assert.equal(result, expected, `Falsches Ergebnis: ${task.key}`);
+  if (task.type === "gap") assert.equal(task.answer, task.operands[task.gap]);
+};
+
+const createEngine = (state = {}) => {
+  const settings = new Settings();
+  Object.entries(state).forEach(([key, value]) => settings.set(key, value));
+  return new MathEngine(settings);
+};
+
+let engine;
+beforeEach(() => {
+  installFakeStorage();
+  engine = createEngine();
+});
+
+test("MathEngine lässt sich ohne window und document laden", () => {
+  assert.equal(typeof globalThis.window, "undefined");
+  assert.equal(typeof globalThis.document, "undefined");
+  assert.ok(engine.createTask());
+});
+
+test("Zählen bleibt zwischen 1 und max", () => {
+  repeat(() => {
+    const task = engine.createCounting(10);
+    assert.equal(task.type, "count");
+    assert.ok(Number.isInteger(task.count) && task.count >= 1 && task.count <= 10);
+    assert.equal(task.answer, task.count);
+  });
+});
+
+test("Plus & Minus bleibt im Zahlenraum und nie unter null", () => {
+  [10, 100].forEach((max) => {
+    repeat(() => {
+      const task = engine.createAddSub(max);
+      assertArithmetic(task);
+      assert.ok(task.operands.every((value) => value >= 1 && value <= max), task.key);
+      assert.ok(task.answer >= 0 && task.answer <= max, task.key);
+    });
+  });
+});
+
+test("Einmaleins nutzt Faktoren von 1 bis max", () => {
+  repeat(() => {
+    const task = engine.createMultiplication(10);
+    assertArithmetic(task);
+    assert.ok(task.operands.every((value) => value >= 1 && value <= 10), task.key);
+  });
+});
+
+test("Teilen geht immer auf und bleibt bis 100", () => {
+  repeat(() => {
+    const task = engine.createDivision(100);
+    assertArithmetic(task);
+    const [dividend, divisor] = task.operands;
+    assert.ok(divisor >= 2 && dividend <= 100, task.key);
+    assert.ok(Number.isInteger(task.answer) && task.answer >= 2, task.key);
+  });
+});
+
+test("Unter die Null bleibt zwischen -limit und limit", () => {
+  repeat(() => {
+    const task = engine.createUnderZero(20);
+    assertArithmetic(task);
+    assert.ok(task.operands.every((value) => Math.abs(value) <= 20), task.key);
+    assert.ok(Math.abs(task.answer) <= 20, task.key);
+  });
+});
+
+test("Platzhalteraufgaben fragen nach dem fehlenden Operanden", () => {
+  repeat(() => {
+    const task = engine.createGapTask(engine.createAddSub(100));
+    assert.equal(task.type, "gap");
+    assert.ok(task.prompt.includes("□"));
+    assertArithmetic(task);
+  });
+});
+
+test("Stellenwerte liefern Ziffern, Nachbarn und Vergleiche im Zahlenraum", () => {
+  repeat(() => {
+    const task = engine.createPlaceValue(1000);
+    if (task.type === "place") {
+      assert.ok(task.number >= 100 && task.number < 1000, task.key);
+      assert.ok(Number.isInteger(task.answer) && task.answer >= 0 && task.answer <= 9);
+    } else if (task.type === "between") {
+      assert.ok(Number.isInteger(task.answer) && task.answer > 0 && task.answer < 1000);
+    } else {
+      assert.equal(task.type, "compare");
+      assert.ok(["<", ">"].includes(task.answer), task.key);
+    }
+  });
+});
+
+test("Jede Rechenstufe liefert ganzzahlige Aufgaben ohne Minus außerhalb von under-zero", () => {
+  const engineWithGaps = createEngine({
+    gapRatios: Object.fromEntries(Object.keys(gradeLabels).map((grade) => [grade, 0.5])),
+  });
+  Object.keys(gradeLabels).forEach((grade) => {
+    [1, 0.5].forEach((scale) => {
+      repeat(() => {
+        const task = engineWithGaps.createForGrade(grade, scale);
+        assert.ok(task && task.key, `${grade}: keine Aufgabe`);
+        if (task.answerType === "symbol") return;
+        assert.ok(Number.isInteger(task.answer), `${grade}: ${task.key}`);
+        if (task.operands) assertArithmetic(task);
+        if (grade === "under-zero") return;
+        assert.ok(task.answer >= 0, `${grade}: negativ ${task.key}`);
+        (task.operands || []).forEach((value) => assert.ok(value >= 0, `${grade}: ${task.key}`));
+      });
+    });
+  });
+});
+
+test("Adaptiver Modus bleibt bei den Regeln der Stufe", () => {
+  const adaptive = createEngine({ difficulty: "adaptive", grade: "div-100" });
+  repeat(() => {
+    const task = adaptive.createTask();
+    if (task.operands) assertArithmetic(task);
+    assert.ok(Number.isInteger(task.answer) && task.answer >= 0, task.key);
+  });
+});
+
+test("Sachaufgaben aus den Datendateien gehen auf", () => {
+  ["addsub-10", "addsub-100", "mult-10", "div-100"].forEach((grade) => {
+    const url = new URL(`../public/data/sachaufgaben/${grade}.json`, import.meta.url);
+    const words = engine.validateWordProblems(JSON.parse(readFileSync(url, "utf8")));
+    assert.ok(words, `${grade}: Datei ungültig`);
+    repeat(() => {
+      const task = engine.createWordProblem(words);
+      if (!task) return;
+      assertArithmetic(task);
+      assert.ok(task.answer >= 0, `${grade}: ${task.key}`);
+      assert.ok(!/\{\w+\}/.test(task.prompt), `${grade}: Platzhalter übrig in ${task.prompt}`);
+    });
+  });
+});
+
+test("Feste Aufgaben übernehmen nur passende Rechnungen", () => {
+  const fitting = engine.createFixedTask("7 * 8", 56);
+  assert.equal(fitting.op, "×");
+  assert.deepEqual(fitting.operands, [7, 8]);
+  const wrong = engine.createFixedTask("7 + 8", 16);
+  assert.equal(wrong.op, undefined);
+  assert.equal(wrong.answer, 16);
+});
+
+test("Antwortauswahl enthält die Lösung und keine Minuszahlen außerhalb von under-zero", () => {
+  repeat(() => {
+    const task = engine.createAddSub(10);
+    const choices = engine.createChoices(task);
+    assert.ok(choices.includes(String(task.answer)));
+    assert.equal(new Set(choices).size, choices.length);
+    assert.ok(choices.every((choice) => Number(choice) >= 0), choices.join(","));
+  });
+});
+
+test("Antwortauswahl richtet sich nach der Stufe der Aufgabe", () => {
+  const counting = createEngine({ grade: "count-10" });
+  assert.equal(counting.createChoices(counting.createForGrade("mult-10")).length, 4);
+  const belowZero = createEngine({ grade: "under-zero" });
+  repeat(() => {
+    const choices = belowZero.createChoices(belowZero.createForGrade("addsub-10"));
+    assert.ok(choices.every((choice) => Number(choice) >= 0), choices.join(","));
+  });
+});
+
+test("Aufgaben einer Plattform-Stufe landen unter ihrer eigenen Stufe", () => {
+  const mixed = createEngine({ grade: "addsub-10" });
+  const task = mixed.createTask("mult-10");
+  assert.equal(task.grade, "mult-10");
+  mixed.recordAnswer(task, false, 4000);
+  assert.equal(mixed.settings.get("factStats")[task.key].grade, "mult-10");
+  assert.deepEqual(mixed.settings.get("reviewQueue").map((item) => item.grade), ["mult-10"]);
+  repeat(() => assert.notEqual(mixed.createTask().review, true));
+  const review = mixed.createTask("mult-10");
+  assert.equal(review.review, true);
+  assert.equal(review.key, task.key);
+});
+
+test("Leere Eingaben lösen keine Aufgabe mit der Lösung 0", () => {
+  let task = engine.createPlaceDigit(340);
+  while (task.answer !== 0) task = engine.createPlaceDigit(340);
+  ["", "-", " ", null].forEach((value) => assert.equal(engine.isCorrect(task, value), false));
+  assert.equal(engine.isCorrect(task, "0"), true);
+  assert.equal(engine.isCorrect(engine.createFixedTask("3 - 3", 0), "-0"), true);
+});
+
+test("Feste Aufgaben zählen zur Stufe ihres Levels", () => {
+  const mixed = createEngine({ grade: "count-10" });
+  assert.equal(mixed.createFixedTask("2 + 3", 5).grade, "count-10");
+  const task = mixed.createFixedTask("7 * 8", 55, "mult-10");
+  mixed.recordAnswer(task, false, 3000);
+  assert.equal(mixed.settings.get("factStats")[task.key].grade, "mult-10");
+  assert.deepEqual(mixed.settings.get("reviewQueue").map((item) => item.grade), ["mult-10"]);
+});
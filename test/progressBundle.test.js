@@ -0,0 +1,66 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeStorage } from "./helpers/fakeStorage.js";
+import { ProfileStore } from "../src/games/game1/profileStore.js";
+import { ProgressBundle } from "../src/games/game1/progressBundle.js";
+
+let storage;
+beforeEach(() => {
+  storage = installFakeStorage();
+});
+
+const createFile = (profiles) =>
+  JSON.stringify({ format: "lumoland-progress", version: 1, profiles });
+
+test("Einstellungen müssen ein Objekt sein", () => {
+  const bundle = new ProgressBundle(new ProfileStore());
+  const result = bundle.import(createFile([{ id: "p1", name: "Anna", settings: [], events: [] }]));
+  assert.equal(result.ok, false);
+  assert.match(result.errors[0], /Einstellungen/);
+});
+
+test("Verschachtelte Listen und Ereignisse werden vor dem Schreiben geprüft", () => {
+  const profiles = new ProfileStore();
+  const bundle = new ProgressBundle(profiles);
+  const profile = { id: "p1", name: "Anna", settings: {}, events: [] };
+  const sessions = bundle.import(createFile([{ ...profile, settings: { sessions: "x" } }]));
+  assert.equal(sessions.ok, false);
+  assert.match(sessions.errors[0], /sessions/);
+  const review = bundle.import(createFile([{ ...profile, settings: { reviewQueue: {} } }]));
+  assert.equal(review.ok, false);
+  const events = [
+    [null],
+    [{ t: 1 }],
+    [{ type: "answer", t: "heute", ms: 1200 }],
+    [{ type: "answer", t: 1 }],
+  ];
+  events.forEach((list) => {
+    const result = bundle.import(createFile([{ ...profile, events: list }]));
+    assert.equal(result.ok, false, JSON.stringify(list));
+    assert.match(result.errors[0], /Ereignis 1/);
+  });
+  assert.equal(storage.getItem(profiles.getSettingsKey("p1")), null);
+  assert.equal(profiles.get("p1"), null);
+  const valid = [{ type: "answer", t: 1, ms: 1200 }, { type: "hint", t: 2 }];
+  assert.equal(bundle.import(createFile([{ ...profile, events: valid }])).ok, true);
+});
+
+test("Voller Speicher setzt einen halben Import zurück", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const profiles = new ProfileStore();
+  const bundle = new ProgressBundle(profiles);
+  const before = storage.keys().map((key) => [key, storage.getItem(key)]);
+  const setItem = storage.setItem;
+  storage.setItem = (key, value) => {
+    if (key.startsWith("lumoland-events:")) throw new Error("QuotaExceededError");
+    setItem(key, value);
+  };
+  const result = bundle.import(
+    createFile([{ id: "p1", name: "Anna", settings: { grade: "mult-10" }, events: [] }])
+  );
+  assert.equal(result.ok, false);
+  assert.match(result.errors[0], /Speicher ist voll/);
+  assert.equal(profiles.list().length, 1);
+  assert.deepEqual(storage.keys().map((key) => [key, storage.getItem(key)]), before);
+  assert.equal(warn.mock.callCount(), 1);
+});
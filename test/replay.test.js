@@ -0,0 +1,67 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeStorage } from "./helpers/fakeStorage.js";
+import { installFakeBrowser, createFakeCanvas } from "./helpers/fakeBrowser.js";
+import { Game } from "../src/games/game1/game.js";
+import { InputRecorder } from "../src/games/game1/inputRecorder.js";
+
+let browser;
+beforeEach(() => {
+  installFakeStorage();
+  browser = installFakeBrowser({ search: "?seed=nachspielen" });
+});
+
+// Game ohne Netz und Ton starten; "OK" beantwortet die Aufgabe wie die Tastatur es täte.
+const createGame = (replay = null) => {
+  const game = new Game({ canvas: createFakeCanvas(), replay });
+  game.onReplayKey = (key) => {
+    if (key === "OK" && game.currentTask) game.checkAnswer(game.currentTask.answer);
+  };
+  game.begin();
+  return game;
+};
+
+const snapshot = (game) => ({
+  frame: game.frame,
+  player: [game.player.x, game.player.y, game.player.vx, game.player.vy],
+  camera: game.camera.x,
+  light: game.lightProgress,
+  platforms: game.level.platforms.map((platform) => [platform.x, platform.y, platform.unlocked]),
+  tasks: game.level.platforms.map((platform) => platform.task && platform.task.key),
+  session: game.session.session.tasks,
+  stats: game.settings.get("factStats"),
+  motion: [game.reducedMotion, game.manipulatives.reducedMotion],
+  completed: game.completionStart,
+  results: game.resultsShown,
+});
+
+// Einfacher Mitspieler: läuft zur nächsten gesperrten Plattform, hüpft und antwortet.
+const playLive = (game, frames) => {
+  const hold = (key, down) => browser.dispatch(down ? "keydown" : "keyup", { key });
+  for (let i = 0; i < frames; i += 1) {
+    const platforms = game.level.platforms;
+    const target = game.level.getNextLockedPlatform() || platforms[platforms.length - 1];
+    const offset = target.x + target.width / 2 - (game.player.x + game.player.width / 2);
+    hold("ArrowRight", offset > 20);
+    hold("ArrowLeft", offset < -20);
+    hold(" ", i % 30 < 3);
+    if (game.taskActive && i % 20 === 0 && game.recordInput("key", { key: "OK" })) {
+      game.onReplayKey("OK");
+    }
+    game.tick(game.step);
+  }
+};
+
+test("Eine aufgenommene Runde läuft beim Nachspielen Schritt für Schritt gleich", () => {
+  const live = createGame();
+  playLive(live, 900);
+  browser.dispatch("pagehide");
+  const expected = snapshot(live);
+  assert.ok(expected.session >= 3, "Es wurden Aufgaben gelöst");
+
+  // Anderes Gerät mit reduzierter Bewegung: Es gilt trotzdem die Einstellung der Aufnahme.
+  browser.reducedMotion = true;
+  const replay = createGame(new InputRecorder(live.settings).load());
+  for (let i = 0; i < 900; i += 1) replay.tick(replay.step);
+  assert.deepEqual(snapshot(replay), expected);
+});
@@ -0,0 +1,50 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeStorage } from "./helpers/fakeStorage.js";
+import { Rng } from "../src/games/game1/rng.js";
+import { MathEngine } from "../src/games/game1/mathEngine.js";
+import { Settings } from "../src/games/game1/settings.js";
+
+beforeEach(() => {
+  installFakeStorage();
+});
+
+const take = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+test("Gleicher Startwert liefert dieselbe Folge", () => {
+  assert.deepEqual(take(new Rng("klasse3b"), 20), take(new Rng("klasse3b"), 20));
+  assert.notDeepEqual(take(new Rng("klasse3b"), 20), take(new Rng("klasse3c"), 20));
+});
+
+test("Zahlen bleiben in ihren Grenzen", () => {
+  const rng = new Rng(42);
+  take(rng, 1000).forEach((value) => assert.ok(value >= 0 && value < 1));
+  for (let i = 0; i < 1000; i += 1) {
+    const value = rng.int(-3, 3);
+    assert.ok(Number.isInteger(value) && value >= -3 && value <= 3);
+  }
+  assert.deepEqual(rng.shuffle([1, 2, 3, 4, 5]).sort(), [1, 2, 3, 4, 5]);
+});
+
+test("Abgeleitete Ströme hängen nur von Startwert und Namen ab", () => {
+  const first = new Rng("abc");
+  const second = new Rng("abc");
+  take(second, 50);
+  assert.deepEqual(take(first.fork("level"), 10), take(second.fork("level"), 10));
+  assert.notDeepEqual(take(first.fork("level"), 10), take(first.fork("aufgaben"), 10));
+});
+
+test("?seed= setzt den Startwert, sonst wird gewürfelt", () => {
+  assert.equal(Rng.fromSearch("?seed=klasse3b&debug").seed, "klasse3b");
+  assert.equal(Rng.fromSearch("?seed=%20%20").seed.length > 0, true);
+  assert.notEqual(Rng.fromSearch("").seed, "");
+});
+
+test("MathEngine stellt mit gleichem Startwert dieselben Aufgaben", () => {
+  const tasks = (seed) => {
+    const engine = new MathEngine(new Settings(), new Rng(seed).fork("aufgaben"));
+    return Array.from({ length: 15 }, () => engine.createForGrade("addsub-100").key);
+  };
+  assert.deepEqual(tasks("klasse3b"), tasks("klasse3b"));
+  assert.notDeepEqual(tasks("klasse3b"), tasks("klasse4a"));
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeStorage } from "./helpers/fakeStorage.js";
+import { ProfileStore } from "../src/games/game1/profileStore.js";
+import { Settings } from "../src/games/game1/settings.js";
+
+let storage;
+beforeEach(() => {
+  storage = installFakeStorage();
+});
+
+test("Ohne gespeicherte Daten gelten die Standardwerte", () => {
+  const settings = new Settings();
+  assert.equal(settings.get("grade"), "count-10");
+  assert.equal(settings.get("difficulty"), "fixed");
+  assert.deepEqual(settings.get("sessions"), []);
+  assert.equal(settings.profiles.list().length, 1);
+});
+
+test("Gespeicherte Werte überstehen ein neues Laden", () => {
+  const settings = new Settings();
+  settings.set("grade", "mult-10");
+  settings.set("mute", true);
+  const key = settings.storageKey;
+  assert.equal(JSON.parse(storage.getItem(key)).grade, "mult-10");
+
+  const reloaded = new Settings();
+  assert.equal(reloaded.get("grade"), "mult-10");
+  assert.equal(reloaded.get("mute"), true);
+  assert.equal(reloaded.get("answerMode"), "keypad");
+});
+
+test("Jedes Profil hat eigene Einstellungen", () => {
+  const profiles = new ProfileStore();
+  const first = profiles.getActive();
+  const second = profiles.add("Kind 2", profiles.colors[1]);
+  new Settings(profiles, first.id).set("grade", "div-100");
+  new Settings(profiles, second.id).set("grade", "addsub-10");
+  assert.equal(new Settings(profiles, first.id).get("grade"), "div-100");
+  assert.equal(new Settings(profiles, second.id).get("grade"), "addsub-10");
+});
+
+test("Alte Stufennamen werden beim Laden übersetzt", () => {
+  const legacy = { pre: "count-10", "1-2": "addsub-10", "3-4": "addsub-100", "5-6": "mult-10" };
+  Object.entries(legacy).forEach(([old, current]) => {
+    storage.clear();
+    const profiles = new ProfileStore();
+    const key = profiles.getSettingsKey(profiles.getActive().id);
+    storage.setItem(key, JSON.stringify({ grade: old }));
+    assert.equal(new Settings(profiles).get("grade"), current, old);
+  });
+});
+
+test("Daten aus der Zeit vor den Profilen wandern ins erste Profil", () => {
+  storage.setItem("lumoland-settings", JSON.stringify({ grade: "3-4", mute: true }));
+  const settings = new Settings();
+  assert.equal(settings.get("grade"), "addsub-100");
+  assert.equal(settings.get("mute"), true);
+  assert.equal(storage.getItem("lumoland-settings"), null);
+  assert.ok(storage.getItem(settings.storageKey));
+});
+
+test("Alte Daten landen nicht in einem anderen Profil, das zuerst lädt", () => {
+  const setup = new ProfileStore();
+  const first = setup.getActive();
+  const second = setup.add("Ben");
+  setup.setActive(second.id);
+  storage.setItem("lumoland-settings", JSON.stringify({ grade: "5-6" }));
+  const profiles = new ProfileStore();
+  assert.equal(new Settings(profiles, second.id).get("grade"), "count-10");
+  assert.equal(new Settings(profiles, first.id).get("grade"), "mult-10");
+  assert.equal(storage.getItem("lumoland-settings"), null);
+});
+
+test("Kaputte Daten fallen auf die Standardwerte zurück", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const profiles = new ProfileStore();
+  storage.setItem(profiles.getSettingsKey(profiles.getActive().id), "{kaputt");
+  const settings = new Settings(profiles);
+  assert.equal(settings.get("grade"), "count-10");
+  assert.equal(warn.mock.callCount(), 1);
+});
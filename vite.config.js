@@ -1,8 +1,72 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync, statSync } from 'node:fs'
+import { join, relative, resolve, sep } from 'node:path'
 import { defineConfig } from 'vite'
 
+// Alle Seiten laufen durch Vite; Skripte und CSS landen gehasht in dist/assets.
+const pages = [
+  'index.html',
+  'impressum.html',
+  'game.html',
+  'lumoland/index.html',
+  'lumoland/map.html',
+  'lumoland/eltern.html',
+  'lumoland/editor.html',
+]
+
+// Dateien aus public/, die zusätzlich zu den Seiten offline bereitliegen
+// (Pfade relativ zu public/).
+const precachePatterns = [
+  /^manifest\.webmanifest$/,
+  /^assets\/fonts\/[^/]+\.woff2$/,
+  /^assets\/(icons\/)?[^/]+\.png$/,
+  /^data\/.+\.json$/,
+]
+
+const listFiles = (dir) =>
+  readdirSync(dir).flatMap((name) => {
+    const path = join(dir, name)
+    return statSync(path).isDirectory() ? listFiles(path) : [path]
+  })
+
+// Baut sw.js aus src/sw.js: Dateiliste plus Version aus dem Inhalt aller Dateien,
+// damit jede geänderte Datei einen neuen Cache erzwingt.
+const serviceWorker = () => {
+  let publicDir = 'public'
+  return {
+    name: 'lumoland-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const files = listFiles(publicDir)
+        .map((path) => relative(publicDir, path).split(sep).join('/'))
+        .filter((file) => precachePatterns.some((pattern) => pattern.test(file)))
+        .sort()
+      const built = Object.keys(bundle).sort()
+      const hash = createHash('sha256')
+      files.forEach((file) => hash.update(file).update(readFileSync(join(publicDir, file))))
+      built.forEach((name) => {
+        const item = bundle[name]
+        hash.update(name).update(item.type === 'chunk' ? item.code : item.source)
+      })
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('__LUMO_VERSION__', hash.digest('hex').slice(0, 12))
+        .replace('__LUMO_PRECACHE__', JSON.stringify(['./', ...built, ...files], null, 2))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 export default defineConfig({
   base: '/Lumocode/',
   build: {
     outDir: 'dist',
+    rollupOptions: {
+      input: pages.map((page) => resolve(__dirname, page)),
+    },
   },
+  plugins: [serviceWorker()],
 })